@@ -9,10 +9,20 @@ const socketHandler = require("./socket");
 const chatController = require("./controllers/chat.controller");
 const groupController = require("./controllers/group.controller");
 const authController = require("./controllers/auth.controller");
+const { startStorageGc } = require("./jobs/storageGc");
+const { startMessageRetention } = require("./jobs/messageRetention");
+const { startGroupPurge } = require("./jobs/groupPurge");
 
 const app = express();
 const server = http.createServer(app);
 
+// Behind a load balancer req.ip must come from X-Forwarded-For, or every client
+// would share one rate limit - TRUST_PROXY is a hop count, "true" or trusted addresses
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set("trust proxy", /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy === "true" || trustProxy);
+}
+
 // Initialize Socket.IO with proper CORS
 const io = require("socket.io")(server, {
   cors: {
@@ -66,20 +76,30 @@ app.use("/uploads", express.static(path.join(__dirname, "uploads")));
 app.use("/api/auth", require("./routes/auth.routes"));
 app.use("/api/chat", require("./routes/chat.routes"));
 app.use("/api/group", require("./routes/group.routes"));
+app.use("/api/sync", require("./routes/sync.routes"));
+app.use("/api/conversations", require("./routes/conversation.routes"));
+app.use("/api/files", require("./routes/file.routes"));
 
-// Socket setup
-const onlineUsers = socketHandler(io);
+// Socket setup (returns the shared presence/dedupe store)
+const store = socketHandler(io);
 
-// Pass io and onlineUsers to chat, group, and auth controllers
-chatController.setIoAndUsers(io, onlineUsers);
-groupController.setIoAndUsers(io, onlineUsers);
-authController.setIoAndUsers(io, onlineUsers);
+// Pass io and the store to chat, group, and auth controllers
+chatController.setIoAndUsers(io, store);
+groupController.setIoAndUsers(io, store);
+authController.setIoAndUsers(io, store);
 
 // Connect to database first, then start server
 const PORT = process.env.PORT || 5000;
 
 connectDB()
   .then(() => {
+    // Remove replaced uploads once their grace period is over
+    startStorageGc();
+    // Purge group messages past their retention period
+    startMessageRetention();
+    // Remove deleted groups once they can no longer be restored
+    startGroupPurge();
+
     server.listen(PORT, () => {
       console.log(`Server running on port ${PORT}`);
     });
@@ -1,35 +1,48 @@
 const multer = require("multer");
+const mongoose = require("mongoose");
 const path = require("path");
 const fs = require("fs");
+const os = require("os");
+const storage = require("../storage");
+const { processImage } = require("../utils/images");
 
-// Ensure uploads directory exists
-const uploadsDir = path.join(__dirname, "..", "uploads");
-const profilesDir = path.join(uploadsDir, "profiles");
-const groupIconsDir = path.join(uploadsDir, "groups");
+// Uploads are staged locally for processing, then moved to the storage backend (see storage/)
+const stagingDir = path.join(os.tmpdir(), "chat-uploads");
 
-[uploadsDir, profilesDir, groupIconsDir].forEach((dir) => {
-  if (!fs.existsSync(dir)) {
-    fs.mkdirSync(dir, { recursive: true });
-  }
-});
+if (!fs.existsSync(stagingDir)) {
+  fs.mkdirSync(stagingDir, { recursive: true });
+}
+
+// Unique file name keeping the original extension
+const uniqueFilename = function (req, file, cb) {
+  const uniqueSuffix = Date.now() + "-" + Math.round(Math.random() * 1e9);
+  cb(null, uniqueSuffix + path.extname(file.originalname));
+};
 
-// Storage configuration
-const storage = multer.diskStorage({
+// Staging storage configuration
+const stagingStorage = multer.diskStorage({
   destination: function (req, file, cb) {
-    if (req.path.includes("signup")) {
-      cb(null, profilesDir);
-    } else if (req.path.includes("group")) {
-      cb(null, groupIconsDir);
-    } else {
-      cb(null, uploadsDir);
-    }
-  },
-  filename: function (req, file, cb) {
-    const uniqueSuffix = Date.now() + "-" + Math.round(Math.random() * 1e9);
-    cb(null, uniqueSuffix + path.extname(file.originalname));
+    cb(null, stagingDir);
   },
+  filename: uniqueFilename,
 });
 
+// Move staged files into the storage backend under folder/ (keys kept on req.storedKeys)
+const persistFiles = async (req, folder, files) => {
+  req.storedKeys = req.storedKeys || [];
+  for (const { fileName, contentType } of files) {
+    const key = `${folder}/${fileName}`;
+    await storage.put(key, path.join(stagingDir, fileName), contentType);
+    req.storedKeys.push(key);
+  }
+};
+
+// Files for a processed image: the cleaned original plus its webp variants
+const imageFiles = (image) => [
+  { fileName: image.fileName, contentType: image.mimeType },
+  ...Object.values(image.variants).map((fileName) => ({ fileName, contentType: "image/webp" })),
+];
+
 // File filter
 const fileFilter = (req, file, cb) => {
   const allowedTypes = ["image/jpeg", "image/jpg", "image/png", "image/gif"];
@@ -41,9 +54,165 @@ const fileFilter = (req, file, cb) => {
 };
 
 const upload = multer({
-  storage: storage,
+  storage: stagingStorage,
   fileFilter: fileFilter,
   limits: { fileSize: 5 * 1024 * 1024 }, // 5MB limit
 });
 
+// Allowed attachment types, the messageType they map to and their size limit
+const MB = 1024 * 1024;
+const attachmentTypes = {
+  image: {
+    maxSize: 10 * MB,
+    mimeTypes: ["image/jpeg", "image/jpg", "image/png", "image/gif", "image/webp"],
+  },
+  audio: {
+    maxSize: 15 * MB,
+    mimeTypes: ["audio/mpeg", "audio/mp4", "audio/aac", "audio/ogg", "audio/wav", "audio/webm"],
+  },
+  file: {
+    maxSize: 25 * MB,
+    mimeTypes: [
+      "application/pdf",
+      "text/plain",
+      "text/csv",
+      "application/msword",
+      "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+      "application/vnd.ms-excel",
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+      "application/vnd.ms-powerpoint",
+      "application/vnd.openxmlformats-officedocument.presentationml.presentation",
+    ],
+  },
+};
+
+const getAttachmentType = (mimetype) =>
+  Object.keys(attachmentTypes).find((type) => attachmentTypes[type].mimeTypes.includes(mimetype));
+
+const attachmentUploader = multer({
+  storage: stagingStorage,
+  fileFilter: (req, file, cb) => {
+    if (getAttachmentType(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error("Unsupported attachment type"), false);
+    }
+  },
+  // Largest per-type limit - the exact limit is checked once the type is known
+  limits: { fileSize: Math.max(...Object.values(attachmentTypes).map((t) => t.maxSize)) },
+});
+
+// Accept an optional "attachment" file and describe it on req.attachment
+// Responds 400 for unsupported types or files over their type's limit
+const attachmentUpload = (req, res, next) => {
+  attachmentUploader.single("attachment")(req, res, async (err) => {
+    if (err) {
+      return res.status(400).json({ message: err.message });
+    }
+    if (!req.file) return next();
+
+    const type = getAttachmentType(req.file.mimetype);
+    if (req.file.size > attachmentTypes[type].maxSize) {
+      discardUpload(req);
+      return res.status(400).json({
+        message: `${type} attachments must be under ${attachmentTypes[type].maxSize / MB}MB`,
+      });
+    }
+
+    req.attachment = {
+      type,
+      fileName: req.file.filename,
+      originalName: req.file.originalname,
+      mimeType: req.file.mimetype,
+      size: req.file.size,
+    };
+
+    try {
+      if (type === "image") {
+        const image = await processImage(req.file.path);
+        Object.assign(req.attachment, {
+          fileName: image.fileName,
+          mimeType: image.mimeType,
+          width: image.width,
+          height: image.height,
+          variants: image.variants,
+          placeholder: image.placeholder,
+        });
+        await persistFiles(req, "attachments", imageFiles(image));
+      } else {
+        await persistFiles(req, "attachments", [
+          { fileName: req.file.filename, contentType: req.file.mimetype },
+        ]);
+      }
+    } catch (uploadErr) {
+      discardUpload(req);
+      if (!uploadErr.status) console.error("Error storing attachment:", uploadErr);
+      return res.status(uploadErr.status || 500).json({ message: uploadErr.message });
+    }
+
+    next();
+  });
+};
+
+// Run after upload.single(): validate the image bytes, strip EXIF, build
+// thumbnail/medium/placeholder variants and store everything under folder/
+// (result on req.image, with req.image.key for the original)
+const processImageUpload = (folder) => async (req, res, next) => {
+  if (!req.file) return next();
+
+  try {
+    const image = await processImage(req.file.path);
+    await persistFiles(req, folder, imageFiles(image));
+    req.image = { ...image, key: `${folder}/${image.fileName}` };
+    next();
+  } catch (err) {
+    discardUpload(req);
+    if (!err.status) console.error("Error processing image:", err);
+    res.status(err.status || 500).json({ message: err.message });
+  }
+};
+
+// Message fields for req.attachment (messageType + stored metadata)
+// The message id is generated up front so the download URLs can be stored with it
+const attachmentFields = (attachment) => {
+  if (!attachment) return {};
+  const { type, ...metadata } = attachment;
+  const _id = new mongoose.Types.ObjectId();
+
+  metadata.url = `/api/chat/attachment/${_id}`;
+  if (metadata.variants) {
+    metadata.variantUrls = {
+      thumbnail: `${metadata.url}?variant=thumbnail`,
+      medium: `${metadata.url}?variant=medium`,
+      placeholder: metadata.placeholder,
+    };
+  }
+
+  return { _id, messageType: type, attachment: metadata };
+};
+
+// Remove an uploaded file (and any generated variants) when the request is rejected
+// - both what is still staged and what already reached the storage backend
+const discardUpload = (req) => {
+  if (!req.file) return;
+
+  const processed = req.attachment || req.image;
+  const fileNames = [req.file.filename];
+  if (processed && processed.variants) {
+    fileNames.push(processed.fileName, ...Object.values(processed.variants));
+  }
+  new Set(fileNames).forEach((fileName) => {
+    fs.unlink(path.join(stagingDir, fileName), () => {});
+  });
+
+  (req.storedKeys || []).forEach((key) => {
+    storage.remove(key).catch((err) => console.error("Error removing stored upload:", err));
+  });
+  req.storedKeys = [];
+};
+
 module.exports = upload;
+module.exports.attachmentUpload = attachmentUpload;
+module.exports.processImageUpload = processImageUpload;
+module.exports.attachmentFields = attachmentFields;
+module.exports.discardUpload = discardUpload;
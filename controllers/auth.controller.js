@@ -1,49 +1,107 @@
 const User = require("../models/User");
 const bcrypt = require("bcryptjs");
-const jwt = require("jsonwebtoken");
+const Session = require("../models/Session");
+const mailer = require("../mailer");
+const storage = require("../storage");
+const { imageVariantUrls, imageKeysFromUrls } = require("../utils/images");
+const { scheduleRemoval } = require("../jobs/storageGc");
+const { discardUpload } = require("../config/multer");
+const { userRoom, sessionRoom } = require("../socket");
+const { createSession, rotateRefreshToken, revokeSessions } = require("../utils/sessions");
+const { issueUserToken, consumeUserToken } = require("../utils/userTokens");
+const {
+  getLoginLockout,
+  recordLoginFailure,
+  clearLoginFailures,
+  resetLoginLockouts,
+} = require("../utils/rateLimit");
+const { removeUserFromGroups } = require("./group.controller");
 
 let ioInstance;
-let onlineUsersMap;
+let sharedStore; // presence (see store/)
 
-// Setter for io and users map
-exports.setIoAndUsers = (io, onlineUsers) => {
+// Setter for io and the shared store
+exports.setIoAndUsers = (io, store) => {
   ioInstance = io;
-  onlineUsersMap = onlineUsers;
+  sharedStore = store;
+};
+
+// bcrypt cost for new hashes - older, cheaper hashes are upgraded on the next successful login
+const PASSWORD_HASH_ROUNDS = parseInt(process.env.PASSWORD_HASH_ROUNDS) || 10;
+
+// How long a password reset link stays valid
+const PASSWORD_RESET_TTL_MS = (parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 30) * 60 * 1000;
+
+// How long an email verification link stays valid
+const EMAIL_VERIFICATION_TTL_MS = (parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 24) * 60 * 60 * 1000;
+
+// Accounts created before verification existed have no emailVerified field and count as verified
+const VERIFIED_USERS = { emailVerified: { $ne: false } };
+
+// Email a fresh verification link (older links stop working)
+const sendVerificationEmail = async (user) => {
+  const token = await issueUserToken(user._id, "emailVerification", EMAIL_VERIFICATION_TTL_MS);
+  const verifyUrl = `${process.env.APP_URL || "http://localhost:3000"}/verify-email?token=${token}`;
+  await mailer.send({
+    to: user.email,
+    subject: "Verify your email",
+    text: `Hi ${user.name},\n\nConfirm your email address to finish setting up your account:\n${verifyUrl}\n\n` +
+      `The link expires in ${EMAIL_VERIFICATION_TTL_MS / 3600000} hours.`,
+  });
+};
+
+// Email a password reset link (only the newest link works)
+const sendPasswordResetEmail = async (user) => {
+  const token = await issueUserToken(user._id, "passwordReset", PASSWORD_RESET_TTL_MS);
+  const resetUrl = `${process.env.APP_URL || "http://localhost:3000"}/reset-password?token=${token}`;
+  await mailer.send({
+    to: user.email,
+    subject: "Reset your password",
+    text: `Hi ${user.name},\n\nUse this link to choose a new password:\n${resetUrl}\n\n` +
+      `It expires in ${PASSWORD_RESET_TTL_MS / 60000} minutes. If you didn't ask for it, ignore this email.`,
+  });
+};
+
+// Drop the sockets of revoked sessions right away
+const disconnectSessions = (sessionIds) => {
+  if (ioInstance && sessionIds.length > 0) {
+    ioInstance.in(sessionIds.map(sessionRoom)).disconnectSockets(true);
+  }
 };
 
 // Signup
 exports.signup = async (req, res) => {
   try {
     const { name, email, password, about } = req.body;
-    const profileImage = req.file ? `/uploads/profiles/${req.file.filename}` : "";
+    // req.image is set by processImageUpload (EXIF stripped, variants generated)
+    const profileImage = req.image ? storage.publicUrl(req.image.key) : "";
+    const profileImageVariants = req.image ? imageVariantUrls("profiles", req.image) : undefined;
 
     const existingUser = await User.findOne({ email }).lean();
-    if (existingUser)
+    if (existingUser) {
+      discardUpload(req);
       return res.status(400).json({ message: "User already exists" });
+    }
 
-    // Reduced from 8 to 6 rounds for faster hashing
-    const hashedPassword = await bcrypt.hash(password, 6);
+    const hashedPassword = await bcrypt.hash(password, PASSWORD_HASH_ROUNDS);
 
     const user = await User.create({
       name,
       email,
       password: hashedPassword,
       profileImage,
+      profileImageVariants,
       about: about || "Hey there! I am using Ahmad's ChatApp.",
+      emailVerified: false,
     });
 
-    // Get user without password to broadcast
-    const newUser = await User.findById(user._id).select("-password").lean();
-
-    // Broadcast new user to all online users
-    if (ioInstance && onlineUsersMap) {
-      onlineUsersMap.forEach((socketId) => {
-        ioInstance.to(socketId).emit("newUser", newUser);
-      });
-    }
+    // Other users only see the account (newUser broadcast) once the email is verified
+    // A failed send is not fatal - the user can ask for another link
+    sendVerificationEmail(user).catch(err => console.error("Error sending verification email:", err));
 
-    res.status(201).json({ message: "User created successfully" });
+    res.status(201).json({ message: "User created successfully. Check your email to verify your account." });
   } catch (err) {
+    discardUpload(req);
     console.error("Signup error:", err);
     res.status(500).json({ message: "Server error", error: err.message });
   }
@@ -58,28 +116,40 @@ exports.login = async (req, res) => {
       return res.status(400).json({ message: "Email and password are required" });
     }
 
+    // Locked out (this email from this IP, or the whole account) - rejected before spending any time on bcrypt
+    const lockedFor = await getLoginLockout(email, req.ip);
+    if (lockedFor) {
+      res.set("Retry-After", String(lockedFor));
+      return res.status(429).json({ message: "Too many failed login attempts, try again later", retryAfter: lockedFor });
+    }
+
     // Find user with indexed email field
     const user = await User.findOne({ email })
       .select('+password')
       .lean()
       .maxTimeMS(3000); // Max 3 seconds for query
-    
-    if (!user) {
-      return res.status(400).json({ message: "Invalid credentials" });
-    }
 
     // Verify password - this is the bottleneck, so we minimize other operations
-    const isMatch = await bcrypt.compare(password, user.password);
+    // Unknown emails count as failures too, so lockouts don't reveal which accounts exist
+    const isMatch = user ? await bcrypt.compare(password, user.password) : false;
     if (!isMatch) {
+      await recordLoginFailure(email, req.ip);
       return res.status(400).json({ message: "Invalid credentials" });
     }
+    await clearLoginFailures(email, req.ip);
 
-    // Generate token immediately (don't wait for DB update)
-    const token = jwt.sign(
-      { userId: user._id },
-      process.env.JWT_SECRET,
-      { expiresIn: "7d" }
-    );
+    // Upgrade hashes made with an older, cheaper cost (fire and forget)
+    if (bcrypt.getRounds(user.password) < PASSWORD_HASH_ROUNDS) {
+      bcrypt.hash(password, PASSWORD_HASH_ROUNDS)
+        .then((hashedPassword) => User.updateOne({ _id: user._id }, { password: hashedPassword }).exec())
+        .catch(err => console.error("Error upgrading password hash:", err));
+    }
+
+    // Short-lived access token plus a refresh token for this device
+    const { token, refreshToken, expiresIn } = await createSession(user._id, {
+      userAgent: req.get("user-agent"),
+      ip: req.ip,
+    });
 
     // Update online status asynchronously (fire and forget)
     setImmediate(() => {
@@ -92,12 +162,16 @@ exports.login = async (req, res) => {
     // Return response immediately
     res.json({ 
       token, 
+      refreshToken,
+      expiresIn,
       user: {
         _id: user._id,
         name: user.name,
         email: user.email,
         profileImage: user.profileImage,
+        profileImageVariants: user.profileImageVariants,
         about: user.about,
+        emailVerified: user.emailVerified !== false,
         lastSeen: new Date(),
         isOnline: true,
       }
@@ -111,7 +185,7 @@ exports.login = async (req, res) => {
 // Get all users
 exports.getUsers = async (req, res) => {
   try {
-    const users = await User.find({ _id: { $ne: req.user.userId } })
+    const users = await User.find({ _id: { $ne: req.user.userId }, ...VERIFIED_USERS })
       .select("-password")
       .lean()
       .sort({ isOnline: -1, lastSeen: -1 }); // Online users first
@@ -140,21 +214,284 @@ exports.updateProfile = async (req, res) => {
   try {
     const userId = req.user.userId;
     const { name, about } = req.body;
-    const profileImage = req.file ? `/uploads/profiles/${req.file.filename}` : undefined;
+    const profileImage = req.image ? storage.publicUrl(req.image.key) : undefined;
 
     const user = await User.findById(userId);
-    if (!user) return res.status(404).json({ message: "User not found" });
+    if (!user) {
+      discardUpload(req);
+      return res.status(404).json({ message: "User not found" });
+    }
 
     if (name) user.name = name;
     if (about !== undefined) user.about = about;
-    if (profileImage) user.profileImage = profileImage;
+    let replacedImageKeys = [];
+    if (profileImage) {
+      replacedImageKeys = imageKeysFromUrls(user.profileImage, user.profileImageVariants);
+      user.profileImage = profileImage;
+      user.profileImageVariants = imageVariantUrls("profiles", req.image);
+    }
 
     await user.save();
 
+    // The old image and its variants are no longer referenced
+    scheduleRemoval(replacedImageKeys);
+
     const userResponse = await User.findById(userId).select("-password");
     res.status(200).json(userResponse);
   } catch (err) {
+    discardUpload(req);
     console.error("Update profile error:", err);
     res.status(500).json({ message: "Server error", error: err.message });
   }
 };
+
+// Delete own account (password confirmation required)
+exports.deleteAccount = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { password } = req.body;
+
+    if (!password) {
+      return res.status(400).json({ message: "Password is required" });
+    }
+
+    const user = await User.findById(userId).select("+password");
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    const isMatch = await bcrypt.compare(password, user.password);
+    if (!isMatch) {
+      return res.status(400).json({ message: "Invalid credentials" });
+    }
+
+    // Leave every group first so owned groups get a new owner
+    await removeUserFromGroups(userId);
+    await revokeSessions({ userId });
+    await user.deleteOne();
+
+    scheduleRemoval(imageKeysFromUrls(user.profileImage, user.profileImageVariants));
+
+    if (ioInstance) {
+      ioInstance.emit("userDeleted", userId);
+      ioInstance.in(userRoom(userId)).disconnectSockets(true);
+    }
+
+    res.status(200).json({ message: "Account deleted" });
+  } catch (err) {
+    console.error("Delete account error:", err);
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
+
+// Exchange a refresh token for a new access/refresh token pair
+exports.refresh = async (req, res) => {
+  try {
+    const tokens = await rotateRefreshToken(req.body.refreshToken);
+    res.json(tokens);
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error("Refresh error:", err);
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
+
+// Log out this device
+exports.logout = async (req, res) => {
+  try {
+    const { userId, sessionId } = req.user;
+    if (sessionId) {
+      disconnectSessions(await revokeSessions({ _id: sessionId, userId }));
+    }
+    res.json({ message: "Logged out" });
+  } catch (err) {
+    console.error("Logout error:", err);
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
+
+// Log out every device, including this one
+exports.logoutAll = async (req, res) => {
+  try {
+    const sessionIds = await revokeSessions({ userId: req.user.userId });
+    disconnectSessions(sessionIds);
+    res.json({ message: "Logged out everywhere", count: sessionIds.length });
+  } catch (err) {
+    console.error("Logout all error:", err);
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
+
+// List my active sessions
+exports.getSessions = async (req, res) => {
+  try {
+    const { userId, sessionId } = req.user;
+    const sessions = await Session.find({ userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+      .select("userAgent ip lastUsedAt createdAt expiresAt")
+      .lean()
+      .sort({ lastUsedAt: -1 });
+
+    res.json(sessions.map((s) => ({ ...s, current: s._id.toString() === sessionId })));
+  } catch (err) {
+    console.error("Get sessions error:", err);
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
+
+// Revoke one of my sessions
+exports.revokeSession = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    if (!/^[a-f0-9]{24}$/i.test(sessionId)) {
+      return res.status(404).json({ message: "Session not found" });
+    }
+
+    const sessionIds = await revokeSessions({ _id: sessionId, userId: req.user.userId });
+    if (sessionIds.length === 0) {
+      return res.status(404).json({ message: "Session not found" });
+    }
+
+    disconnectSessions(sessionIds);
+    res.json({ message: "Session revoked" });
+  } catch (err) {
+    console.error("Revoke session error:", err);
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
+
+// Change password (current password required) - signs out every other device
+exports.changePassword = async (req, res) => {
+  try {
+    const { userId, sessionId } = req.user;
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({ message: "Current and new password are required" });
+    }
+
+    const user = await User.findById(userId).select("+password");
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    const isMatch = await bcrypt.compare(currentPassword, user.password);
+    if (!isMatch) {
+      return res.status(400).json({ message: "Current password is incorrect" });
+    }
+
+    user.password = await bcrypt.hash(newPassword, PASSWORD_HASH_ROUNDS);
+    await user.save();
+
+    disconnectSessions(await revokeSessions({ userId, _id: { $ne: sessionId } }));
+
+    res.json({ message: "Password changed" });
+  } catch (err) {
+    console.error("Change password error:", err);
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
+
+// Email a password reset link (same response whether or not the account exists)
+exports.forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+    if (!email) {
+      return res.status(400).json({ message: "Email is required" });
+    }
+
+    // Send in the background so the response time doesn't reveal whether the account exists
+    const user = await User.findOne({ email }).select("email name").lean();
+    if (user) {
+      sendPasswordResetEmail(user).catch(err => console.error("Error sending password reset email:", err));
+    }
+
+    res.json({ message: "If that email is registered, a reset link has been sent" });
+  } catch (err) {
+    console.error("Forgot password error:", err);
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
+
+// Set a new password with a reset token - signs out every device
+exports.resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({ message: "Token and password are required" });
+    }
+
+    const userId = await consumeUserToken(token, "passwordReset");
+    if (!userId) {
+      return res.status(400).json({ message: "Reset link is invalid or has expired" });
+    }
+
+    const hashedPassword = await bcrypt.hash(password, PASSWORD_HASH_ROUNDS);
+    const user = await User.findByIdAndUpdate(userId, { password: hashedPassword });
+    if (!user) {
+      return res.status(400).json({ message: "Reset link is invalid or has expired" });
+    }
+
+    disconnectSessions(await revokeSessions({ userId }));
+    await resetLoginLockouts(user.email);
+
+    res.json({ message: "Password has been reset. Please log in again." });
+  } catch (err) {
+    console.error("Reset password error:", err);
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
+
+// Verify an email address with the emailed token
+exports.verifyEmail = async (req, res) => {
+  try {
+    const { token } = req.body;
+    if (!token) {
+      return res.status(400).json({ message: "Token is required" });
+    }
+
+    const userId = await consumeUserToken(token, "emailVerification");
+    if (!userId) {
+      return res.status(400).json({ message: "Verification link is invalid or has expired" });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      userId,
+      { emailVerified: true, emailVerifiedAt: new Date() },
+      { new: true }
+    ).select("-password").lean();
+    if (!user) {
+      return res.status(400).json({ message: "Verification link is invalid or has expired" });
+    }
+
+    // Broadcast new user to all online users
+    // (io.emit goes through the adapter, so it reaches every instance)
+    if (ioInstance) {
+      ioInstance.emit("newUser", user);
+    }
+
+    res.json({ message: "Email verified" });
+  } catch (err) {
+    console.error("Verify email error:", err);
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
+
+// Send another verification link (same response whether or not the account exists)
+exports.resendVerification = async (req, res) => {
+  try {
+    const { email } = req.body;
+    if (!email) {
+      return res.status(400).json({ message: "Email is required" });
+    }
+
+    const user = await User.findOne({ email, emailVerified: false }).select("email name").lean();
+    // Send in the background so the response time doesn't reveal whether the account exists
+    if (user) {
+      sendVerificationEmail(user).catch(err => console.error("Error sending verification email:", err));
+    }
+
+    res.json({ message: "If that email is awaiting verification, a new link has been sent" });
+  } catch (err) {
+    console.error("Resend verification error:", err);
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
@@ -1,12 +1,53 @@
 const Message = require("../models/Message");
+const { userRoom, groupRoom } = require("../socket");
+const { paginateMessages } = require("../utils/pagination");
+const { replyPreviewPopulate, validateReplyTo } = require("../utils/replies");
+const { summarizeReactions, withReactionSummary } = require("../utils/reactions");
+const httpError = require("../utils/httpError");
+const { requireGroupMember } = require("../utils/groupAccess");
+const { attachmentFields, discardUpload } = require("../config/multer");
+const storage = require("../storage");
 
 let ioInstance;
-let onlineUsersMap;
+let sharedStore; // presence (see store/)
 
-// Setter for io and users map
-exports.setIoAndUsers = (io, onlineUsers) => {
+// How long a sender can still "delete for everyone" (group admins have no limit)
+const DELETE_FOR_EVERYONE_WINDOW_MS =
+  (parseInt(process.env.DELETE_FOR_EVERYONE_WINDOW_MINUTES) || 60) * 60 * 1000;
+
+// Lifetime of signed attachment download URLs
+const ATTACHMENT_URL_TTL_SECONDS = parseInt(process.env.ATTACHMENT_URL_TTL_SECONDS) || 300;
+
+// Emit to everyone in a message's conversation (group room or both DM participants)
+const emitToParticipants = (message, event, payload) => {
+  if (!ioInstance) return;
+  if (message.groupId) {
+    ioInstance.to(groupRoom(message.groupId)).emit(event, payload);
+  } else {
+    ioInstance.to([userRoom(message.senderId), userRoom(message.receiverId)]).emit(event, payload);
+  }
+};
+
+// Load a message the user can see (DM participant or group member)
+// Returns { message, group } - group is only set for group messages
+const findMessageForParticipant = async (messageId, userId) => {
+  const message = await Message.findById(messageId);
+  if (!message) throw httpError(404, "Message not found");
+
+  let group = null;
+  if (message.groupId) {
+    group = await requireGroupMember(message.groupId, userId);
+  } else if (message.senderId.toString() !== userId && message.receiverId.toString() !== userId) {
+    throw httpError(403, "You are not part of this conversation");
+  }
+
+  return { message, group };
+};
+
+// Setter for io and the shared store
+exports.setIoAndUsers = (io, store) => {
   ioInstance = io;
-  onlineUsersMap = onlineUsers;
+  sharedStore = store;
 };
 
 // Get messages between two users
@@ -14,11 +55,10 @@ exports.getMessages = async (req, res) => {
   try {
     const senderId = req.user.userId;
     const { receiverId } = req.params;
-    const page = parseInt(req.query.page) || 1;
+    const { page, before, after, around } = req.query;
     const limit = parseInt(req.query.limit) || 50;
-    const skip = (page - 1) * limit;
 
-    console.log(`📨 Fetching direct messages between ${senderId} and ${receiverId}, page: ${page}`);
+    console.log(`📨 Fetching direct messages between ${senderId} and ${receiverId}`, { page, before, after, around });
 
     const query = {
       $or: [
@@ -26,28 +66,52 @@ exports.getMessages = async (req, res) => {
         { senderId: receiverId, receiverId: senderId },
       ],
       groupId: { $exists: false }, // Only direct messages
+      deletedFor: { $ne: senderId }, // Hide messages deleted for me
     };
 
-    // Execute count and messages query in parallel
-    const [totalMessages, messages] = await Promise.all([
-      Message.countDocuments(query),
-      Message.find(query)
-        .populate("senderId", "name email profileImage about")
-        .populate("receiverId", "name email profileImage about")
-        .lean()
-        .sort({ createdAt: -1 })
-        .skip(skip)
-        .limit(limit)
-    ]);
+    const populateMessage = (q) => q
+      .populate("senderId", "name email profileImage about")
+      .populate("receiverId", "name email profileImage about")
+      .populate(replyPreviewPopulate)
+      .lean();
 
-    console.log(`✅ Found ${messages.length} messages (total: ${totalMessages})`);
+    let result;
+    if (page) {
+      // Legacy page-based pagination for older clients (keeps the full count)
+      const currentPage = parseInt(page) || 1;
+      const skip = (currentPage - 1) * limit;
 
-    // Reverse to show oldest first
-    const reversedMessages = messages.reverse();
+      // Execute count and messages query in parallel
+      const [totalMessages, messages] = await Promise.all([
+        Message.countDocuments(query),
+        populateMessage(Message.find(query))
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(limit)
+      ]);
+
+      result = {
+        // Reverse to show oldest first
+        messages: messages.reverse(),
+        pagination: {
+          currentPage,
+          totalPages: Math.ceil(totalMessages / limit),
+          totalMessages,
+          hasMore: skip + messages.length < totalMessages,
+        }
+      };
+    } else {
+      // Cursor-based pagination (no count on the hot path)
+      result = await paginateMessages(query, { before, after, around, limit }, populateMessage);
+    }
 
-    // Mark messages as delivered (non-blocking)
+    result.messages = withReactionSummary(result.messages, senderId);
+    const reversedMessages = result.messages;
+    console.log(`✅ Found ${reversedMessages.length} messages`);
+
+    // Mark messages as delivered (non-blocking) - receiverId populates to null for deleted accounts
     const undeliveredIds = reversedMessages
-      .filter(m => m.receiverId._id.toString() === senderId && m.status === "sent")
+      .filter(m => m.receiverId?._id.toString() === senderId && m.status === "sent")
       .map(m => m._id);
 
     if (undeliveredIds.length > 0) {
@@ -57,24 +121,18 @@ exports.getMessages = async (req, res) => {
       ).exec();
 
       // Notify sender about delivery
-      const senderSocketId = onlineUsersMap.get(receiverId);
-      if (senderSocketId && ioInstance) {
-        ioInstance.to(senderSocketId).emit("messagesDelivered", {
+      if (ioInstance) {
+        ioInstance.to(userRoom(receiverId)).emit("messagesDelivered", {
           receiverId: senderId,
         });
       }
     }
 
-    res.status(200).json({
-      messages: reversedMessages,
-      pagination: {
-        currentPage: page,
-        totalPages: Math.ceil(totalMessages / limit),
-        totalMessages,
-        hasMore: skip + reversedMessages.length < totalMessages,
-      }
-    });
+    res.status(200).json(result);
   } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ message: err.message });
+    }
     console.error("❌ Error fetching direct messages:", err);
     console.error("Stack trace:", err.stack);
     res.status(500).json({ message: "Failed to fetch messages", error: err.message });
@@ -85,21 +143,27 @@ exports.getMessages = async (req, res) => {
 exports.sendMessage = async (req, res) => {
   try {
     console.log("📨 Received direct message request");
-    const { receiverId, message } = req.body;
+    const { receiverId, message, replyTo } = req.body;
     const senderId = req.user.userId;
     
     console.log("📍 Sender ID:", senderId);
     console.log("📍 Receiver ID:", receiverId);
-    console.log("📍 Message:", message);
+    console.log("📍 Message:", message, req.attachment ? `(+ ${req.attachment.type} attachment)` : "");
 
-    if (!receiverId || !message) {
+    if (!receiverId || (!message && !req.attachment)) {
       console.log("❌ Missing receiverId or message");
-      return res.status(400).json({ message: "Receiver and message are required" });
+      discardUpload(req);
+      return res.status(400).json({ message: "Receiver and message or attachment are required" });
+    }
+
+    // Quoted message must be in this conversation
+    if (replyTo) {
+      await validateReplyTo(replyTo, { senderId, receiverId });
     }
 
     // Check if receiver is online
-    const receiverSocketId = onlineUsersMap.get(receiverId);
-    const initialStatus = receiverSocketId ? "delivered" : "sent";
+    const receiverOnline = await sharedStore.isOnline(receiverId);
+    const initialStatus = receiverOnline ? "delivered" : "sent";
     
     console.log("💾 Creating message in database...");
     console.log("📋 Message data:", { senderId, receiverId, message, status: initialStatus });
@@ -110,8 +174,10 @@ exports.sendMessage = async (req, res) => {
       newMessage = await Message.create({
         senderId,
         receiverId,
-        message,
+        message: message || "",
+        replyTo,
         status: initialStatus,
+        ...attachmentFields(req.attachment),
       });
       console.log("✅ Message created:", newMessage._id);
     } catch (createErr) {
@@ -124,14 +190,15 @@ exports.sendMessage = async (req, res) => {
     Message.findById(newMessage._id)
       .populate("senderId", "name email profileImage about")
       .populate("receiverId", "name email profileImage about")
+      .populate(replyPreviewPopulate)
       .lean()
       .then(populatedMessage => {
         if (ioInstance) {
           console.log("📤 Emitting direct message to receiver only");
-          // Emit to receiver if online (sender already has message from API response)
-          if (receiverSocketId) {
-            console.log(`  - Receiver: ${receiverId} (socket: ${receiverSocketId})`);
-            ioInstance.to(receiverSocketId).emit("receiveMessage", populatedMessage);
+          // Emit to every receiver device if online (sender already has message from API response)
+          if (receiverOnline) {
+            console.log(`  - Receiver: ${receiverId} (ONLINE)`);
+            ioInstance.to(userRoom(receiverId)).emit("receiveMessage", populatedMessage);
           } else {
             console.log(`  - Receiver: ${receiverId} (OFFLINE)`);
           }
@@ -148,12 +215,19 @@ exports.sendMessage = async (req, res) => {
       senderId,
       receiverId,
       message: newMessage.message,
+      messageType: newMessage.messageType,
+      attachment: newMessage.attachment,
+      replyTo: newMessage.replyTo,
       status: newMessage.status,
       createdAt: newMessage.createdAt
     });
     console.log("✅ Response sent successfully");
 
   } catch (err) {
+    discardUpload(req);
+    if (err.status) {
+      return res.status(err.status).json({ message: err.message });
+    }
     console.error("❌ Error sending direct message:", err);
     console.error("❌ Stack trace:", err.stack);
     res.status(500).json({ message: "Failed to send message", error: err.message });
@@ -176,9 +250,8 @@ exports.markAsRead = async (req, res) => {
     );
 
     // Notify sender
-    const senderSocketId = onlineUsersMap.get(senderId);
-    if (senderSocketId && ioInstance) {
-      ioInstance.to(senderSocketId).emit("messagesRead", { receiverId });
+    if (ioInstance) {
+      ioInstance.to(userRoom(senderId)).emit("messagesRead", { receiverId });
     }
 
     res.status(200).json({ message: "Messages marked as read" });
@@ -187,3 +260,259 @@ exports.markAsRead = async (req, res) => {
     res.status(500).json({ message: "Failed to mark as read", error: err.message });
   }
 };
+
+
+// Edit a message (sender only) - previous versions go to editHistory
+exports.editMessage = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { message } = req.body;
+    const userId = req.user.userId;
+
+    if (!message || !message.trim()) {
+      return res.status(400).json({ message: "Message is required" });
+    }
+
+    // Former group members can't edit what they sent while they were in the group
+    const { message: existing, group } = await findMessageForParticipant(id, userId);
+
+    if (existing.senderId?.toString() !== userId) {
+      return res.status(403).json({ message: "You can only edit your own messages" });
+    }
+
+    if (group?.archived) {
+      return res.status(403).json({ message: "This group is archived and read-only" });
+    }
+
+    if (existing.isDeleted) {
+      return res.status(400).json({ message: "Cannot edit a deleted message" });
+    }
+
+    if (existing.messageType !== "text") {
+      return res.status(400).json({ message: "Only text messages can be edited" });
+    }
+
+    const editedAt = new Date();
+    existing.editHistory.push({ message: existing.message, editedAt });
+    existing.message = message;
+    existing.editedAt = editedAt;
+    await existing.save();
+
+    const payload = {
+      messageId: existing._id,
+      groupId: existing.groupId,
+      receiverId: existing.receiverId,
+      message: existing.message,
+      editedAt,
+    };
+    emitToParticipants(existing, "messageEdited", payload);
+
+    res.status(200).json(payload);
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error("Error editing message:", err);
+    res.status(500).json({ message: "Failed to edit message", error: err.message });
+  }
+};
+
+// Delete a message - ?scope=me (default) hides it for the caller,
+// ?scope=everyone removes the content for all participants
+exports.deleteMessage = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.userId;
+    const forEveryone = req.query.scope === "everyone";
+
+    const { message: existing, group } = await findMessageForParticipant(id, userId);
+    const isSender = existing.senderId?.toString() === userId;
+
+    if (!forEveryone) {
+      await Message.findByIdAndUpdate(id, { $addToSet: { deletedFor: userId } }).exec();
+
+      // Only the caller's own devices need to hide it
+      if (ioInstance) {
+        ioInstance.to(userRoom(userId)).emit("messageDeleted", {
+          messageId: existing._id,
+          groupId: existing.groupId,
+          forEveryone: false,
+        });
+      }
+
+      return res.status(200).json({ message: "Message deleted for you", messageId: existing._id });
+    }
+
+    if (group?.archived) {
+      return res.status(403).json({ message: "This group is archived and read-only" });
+    }
+
+    if (existing.isDeleted) {
+      return res.status(400).json({ message: "Message already deleted" });
+    }
+
+    if (existing.messageType === "system") {
+      return res.status(400).json({ message: "System messages cannot be deleted for everyone" });
+    }
+
+    // Group admins can delete any message in their group, senders only within the window
+    const isGroupAdmin = group && group.admins.includes(userId);
+    if (!isGroupAdmin) {
+      if (!isSender) {
+        return res.status(403).json({ message: "You can only delete your own messages for everyone" });
+      }
+      if (Date.now() - existing.createdAt.getTime() > DELETE_FOR_EVERYONE_WINDOW_MS) {
+        return res.status(403).json({ message: "Message is too old to delete for everyone" });
+      }
+    }
+
+    // Attachments are removed from disk, not just hidden
+    if (existing.attachment && existing.attachment.fileName) {
+      const { fileName, variants } = existing.attachment;
+      [fileName, variants && variants.thumbnail, variants && variants.medium]
+        .filter(Boolean)
+        .forEach((name) => {
+          storage.remove(`attachments/${name}`)
+            .catch(err => console.error("Error removing attachment:", err));
+        });
+      existing.attachment = undefined;
+    }
+
+    existing.isDeleted = true;
+    existing.deletedAt = new Date();
+    existing.deletedBy = userId;
+    existing.message = "";
+    existing.editHistory = [];
+    existing.reactions = [];
+    await existing.save();
+
+    emitToParticipants(existing, "messageDeleted", {
+      messageId: existing._id,
+      groupId: existing.groupId,
+      forEveryone: true,
+      deletedBy: userId,
+    });
+
+    res.status(200).json({ message: "Message deleted for everyone", messageId: existing._id });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error("Error deleting message:", err);
+    res.status(500).json({ message: "Failed to delete message", error: err.message });
+  }
+};
+
+// Add or remove an emoji reaction and notify the conversation
+const updateReaction = async (req, res, action) => {
+  const { id } = req.params;
+  const emoji = action === "add" ? req.body.emoji : req.params.emoji;
+  const userId = req.user.userId;
+
+  if (!emoji || typeof emoji !== "string" || emoji.length > 16) {
+    return res.status(400).json({ message: "A valid emoji is required" });
+  }
+
+  const { message, group } = await findMessageForParticipant(id, userId);
+  if (group?.archived) {
+    return res.status(403).json({ message: "This group is archived and read-only" });
+  }
+  if (message.isDeleted) {
+    return res.status(400).json({ message: "Cannot react to a deleted message" });
+  }
+
+  if (action === "add") {
+    // Only push if this user hasn't already used this emoji
+    await Message.updateOne(
+      { _id: id, reactions: { $not: { $elemMatch: { userId, emoji } } } },
+      { $push: { reactions: { userId, emoji, reactedAt: new Date() } } }
+    ).exec();
+  } else {
+    await Message.updateOne({ _id: id }, { $pull: { reactions: { userId, emoji } } }).exec();
+  }
+
+  const updated = await Message.findById(id).select("reactions").lean();
+
+  emitToParticipants(message, "messageReaction", {
+    messageId: message._id,
+    groupId: message.groupId,
+    receiverId: message.receiverId,
+    userId,
+    emoji,
+    action,
+    reactions: summarizeReactions(updated.reactions),
+  });
+
+  res.status(200).json({
+    messageId: message._id,
+    reactions: summarizeReactions(updated.reactions, userId),
+  });
+};
+
+// Add a reaction
+exports.addReaction = async (req, res) => {
+  try {
+    await updateReaction(req, res, "add");
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error("Error adding reaction:", err);
+    res.status(500).json({ message: "Failed to add reaction", error: err.message });
+  }
+};
+
+// Remove a reaction
+exports.removeReaction = async (req, res) => {
+  try {
+    await updateReaction(req, res, "remove");
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error("Error removing reaction:", err);
+    res.status(500).json({ message: "Failed to remove reaction", error: err.message });
+  }
+};
+
+// Download a message attachment - only conversation participants can fetch it
+// Redirects to a short-lived signed URL (?redirect=false returns it as JSON instead)
+// ?variant=thumbnail|medium points at a resized image instead of the original
+exports.downloadAttachment = async (req, res) => {
+  try {
+    const { message } = await findMessageForParticipant(req.params.messageId, req.user.userId);
+    const { variant } = req.query;
+
+    if (message.isDeleted || !message.attachment || !message.attachment.fileName) {
+      return res.status(404).json({ message: "Attachment not found" });
+    }
+
+    let fileName = message.attachment.fileName;
+    let downloadName = message.attachment.originalName;
+    if (variant) {
+      const variants = message.attachment.variants || {};
+      if (!["thumbnail", "medium"].includes(variant) || !variants[variant]) {
+        return res.status(404).json({ message: "Attachment variant not found" });
+      }
+      // Variants are displayed inline, not downloaded
+      fileName = variants[variant];
+      downloadName = "";
+    }
+
+    const url = await storage.getSignedUrl(`attachments/${fileName}`, ATTACHMENT_URL_TTL_SECONDS, downloadName);
+
+    if (req.query.redirect === "false") {
+      return res.status(200).json({
+        url,
+        expiresAt: new Date(Date.now() + ATTACHMENT_URL_TTL_SECONDS * 1000),
+      });
+    }
+    res.redirect(url);
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error("Error downloading attachment:", err);
+    res.status(500).json({ message: "Failed to download attachment", error: err.message });
+  }
+};
@@ -0,0 +1,160 @@
+const Group = require("../models/Group");
+const Message = require("../models/Message");
+const User = require("../models/User");
+const httpError = require("../utils/httpError");
+
+const PEER_FIELDS = "name email profileImage about isOnline lastSeen";
+
+// What the inbox shows of a last message (no edit history, receipts or reactions)
+const LAST_MESSAGE_FIELDS = [
+  "senderId", "receiverId", "groupId", "message", "messageType", "system", "attachment.originalName",
+  "attachment.mimeType", "attachment.variantUrls", "status", "isDeleted", "editedAt", "createdAt",
+].join(" ");
+
+// Unread counts stop here ("99+") - only this many recent messages are looked at per conversation
+const UNREAD_COUNT_CAP = 100;
+
+const DEFAULT_PAGE_SIZE = 30;
+
+// Newest message of one conversation (a single index seek)
+const latestMessage = (filter) =>
+  Message.findOne(filter).select(LAST_MESSAGE_FIELDS).sort({ createdAt: -1 }).lean();
+
+// Unread messages from the newest back to the last one the user sent or has read,
+// looking at no more than UNREAD_COUNT_CAP recent messages
+const countUnread = async (filter, userId, readFilter) => {
+  const floor = await Message.findOne(filter)
+    .select("createdAt")
+    .sort({ createdAt: -1 })
+    .skip(UNREAD_COUNT_CAP - 1)
+    .lean();
+  const window = floor ? [{ createdAt: { $gte: floor.createdAt } }] : [];
+
+  const anchor = await Message.findOne({ $and: [filter, ...window, { $or: [{ senderId: userId }, readFilter] }] })
+    .select("createdAt")
+    .sort({ createdAt: -1 })
+    .lean();
+  const since = anchor ? [{ createdAt: { $gt: anchor.createdAt } }] : window;
+
+  return Message.countDocuments(
+    { $and: [filter, ...since, { messageType: { $ne: "system" }, isDeleted: { $ne: true } }] },
+    { limit: UNREAD_COUNT_CAP }
+  );
+};
+
+// Inbox cursor: "<lastActivity ms>:<peer or group id>" of the last conversation on the previous page
+const parseCursor = (value) => {
+  const match = /^(\d+):([a-f0-9]{24})$/i.exec(value);
+  if (!match) throw httpError(400, "Invalid cursor");
+  return { time: Number(match[1]), id: match[2].toLowerCase() };
+};
+
+const encodeCursor = (conversation) => `${new Date(conversation.lastActivity).getTime()}:${conversation.id}`;
+
+// Newest activity first, ties broken by id so pages never skip or repeat a conversation
+const compareConversations = (a, b) =>
+  new Date(b.lastActivity) - new Date(a.lastActivity) || (b.id < a.id ? -1 : b.id > a.id ? 1 : 0);
+
+// Get the inbox - direct and group conversations sorted by latest activity, a page at a time
+// ?limit=<n>&before=<cursor from the previous page>
+exports.getConversations = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const limit = parseInt(req.query.limit) || DEFAULT_PAGE_SIZE;
+    const before = req.query.before ? parseCursor(req.query.before) : null;
+
+    // Peers from both sides of the direct message indexes (group messages have no receiverId)
+    const [groups, sentTo, receivedFrom] = await Promise.all([
+      Group.find({ members: userId })
+        .select("name description groupIcon members updatedAt")
+        .lean(),
+      Message.distinct("receiverId", { senderId: userId }),
+      Message.distinct("senderId", { receiverId: userId }),
+    ]);
+    const peerIds = [...new Set([...sentTo, ...receivedFrom].filter(Boolean).map(String))];
+
+    const directFilter = (peerId) => ({
+      $or: [
+        { senderId: userId, receiverId: peerId },
+        { senderId: peerId, receiverId: userId },
+      ],
+      groupId: { $exists: false },
+      deletedFor: { $ne: userId },
+    });
+    const groupFilter = (groupId) => ({ groupId, deletedFor: { $ne: userId } });
+
+    // Every conversation's last message is needed to order the inbox, but unread counts only for the page
+    const [directLatest, groupLatest] = await Promise.all([
+      Promise.all(peerIds.map((peerId) => latestMessage(directFilter(peerId)))),
+      Promise.all(groups.map((g) => latestMessage(groupFilter(g._id)))),
+    ]);
+
+    const ordered = [
+      ...peerIds
+        .map((peerId, i) => ({ type: "direct", id: peerId, lastMessage: directLatest[i] }))
+        .filter((c) => c.lastMessage)
+        .map((c) => ({ ...c, lastActivity: c.lastMessage.createdAt })),
+      ...groups.map((g, i) => ({
+        type: "group",
+        id: g._id.toString(),
+        group: g,
+        lastMessage: groupLatest[i] || null,
+        lastActivity: groupLatest[i] ? groupLatest[i].createdAt : g.updatedAt,
+      })),
+    ]
+      .filter((c) => {
+        if (!before) return true;
+        const time = new Date(c.lastActivity).getTime();
+        return time < before.time || (time === before.time && c.id < before.id);
+      })
+      .sort(compareConversations);
+
+    const page = ordered.slice(0, limit);
+    const hasMore = ordered.length > limit;
+
+    const [peers, unreadCounts] = await Promise.all([
+      User.find({ _id: { $in: page.filter((c) => c.type === "direct").map((c) => c.id) } })
+        .select(PEER_FIELDS)
+        .lean(),
+      Promise.all(
+        page.map((c) =>
+          c.type === "direct"
+            ? countUnread(directFilter(c.id), userId, { status: "read" })
+            : countUnread(groupFilter(c.group._id), userId, { "readBy.userId": userId })
+        )
+      ),
+    ]);
+    const peerMap = new Map(peers.map((p) => [p._id.toString(), p]));
+
+    // Deleted accounts drop out of their page rather than shifting the cursor
+    const conversations = page
+      .map((c, i) => {
+        const { lastMessage, lastActivity } = c;
+        const unreadCount = unreadCounts[i];
+        if (c.type === "direct") {
+          const peer = peerMap.get(c.id);
+          return peer && { type: "direct", peer, lastMessage, unreadCount, lastActivity };
+        }
+        const { _id, name, description, groupIcon, members } = c.group;
+        return {
+          type: "group",
+          group: { _id, name, description, groupIcon, memberCount: members.length },
+          lastMessage,
+          unreadCount,
+          lastActivity,
+        };
+      })
+      .filter(Boolean);
+
+    res.status(200).json({
+      conversations,
+      pagination: { hasMore, before: hasMore ? encodeCursor(page[page.length - 1]) : null },
+    });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error("Error fetching conversations:", err);
+    res.status(500).json({ message: "Failed to fetch conversations", error: err.message });
+  }
+};
@@ -0,0 +1,34 @@
+const storage = require("../storage");
+
+// Serve a file through a signed, expiring URL (local storage only -
+// S3 signed URLs point straight at the bucket)
+exports.getSignedFile = async (req, res) => {
+  try {
+    const key = req.params.key.join("/");
+    const { expires, name, signature } = req.query;
+
+    if (!storage.verifySignature) {
+      return res.status(404).json({ message: "File not found" });
+    }
+
+    if (!storage.verifySignature(key, expires, name, signature)) {
+      return res.status(403).json({ message: "Invalid or expired link" });
+    }
+
+    const filePath = storage.resolvePath(key);
+    const onError = (err) => {
+      if (err && !res.headersSent) {
+        res.status(404).json({ message: "File not found" });
+      }
+    };
+
+    if (name) {
+      res.download(filePath, name, onError);
+    } else {
+      res.sendFile(filePath, onError);
+    }
+  } catch (err) {
+    console.error("Error serving file:", err);
+    res.status(500).json({ message: "Failed to serve file", error: err.message });
+  }
+};
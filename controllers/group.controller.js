@@ -1,28 +1,43 @@
+const crypto = require("crypto");
 const Group = require("../models/Group");
+const GroupInvite = require("../models/GroupInvite");
 const Message = require("../models/Message");
 const User = require("../models/User");
+const { userRoom, groupRoom } = require("../socket");
+const { paginateMessages } = require("../utils/pagination");
+const { replyPreviewPopulate, validateReplyTo } = require("../utils/replies");
+const { withReactionSummary } = require("../utils/reactions");
+const { attachmentFields, discardUpload } = require("../config/multer");
+const storage = require("../storage");
+const { imageVariantUrls, imageKeysFromUrls } = require("../utils/images");
+const { scheduleRemoval } = require("../jobs/storageGc");
+const { purgeGroup } = require("../jobs/groupPurge");
+const { createSystemMessage } = require("../utils/systemMessages");
+const { requireGroupMember } = require("../utils/groupAccess");
+const { groupMessageStatus, markGroupReadUpTo } = require("../utils/receipts");
 
 let ioInstance;
-let onlineUsersMap;
+let sharedStore; // presence + duplicate-send guard (see store/)
 
-// Cache to prevent duplicate message creation
-const messageCache = new Map(); // key: "senderId:groupId:message", value: timestamp
-
-// Setter for io and users map
-exports.setIoAndUsers = (io, onlineUsers) => {
+// Setter for io and the shared store
+exports.setIoAndUsers = (io, store) => {
   ioInstance = io;
-  onlineUsersMap = onlineUsers;
+  sharedStore = store;
 };
 
-// Clean cache every 10 seconds
-setInterval(() => {
-  const now = Date.now();
-  for (const [key, timestamp] of messageCache.entries()) {
-    if (now - timestamp > 10000) { // Remove entries older than 10s
-      messageCache.delete(key);
-    }
-  }
-}, 10000);
+// How long the owner can restore a deleted group (0 = delete immediately)
+const GROUP_DELETE_GRACE_MS = (parseInt(process.env.GROUP_DELETE_GRACE_HOURS) || 0) * 60 * 60 * 1000;
+
+// Add a system message to the group timeline and push it to members (fire and forget)
+const postSystemMessage = (groupId, action, details) => {
+  createSystemMessage(groupId, action, details)
+    .then((systemMessage) => {
+      if (ioInstance) {
+        ioInstance.to(groupRoom(groupId)).emit("receiveGroupMessage", systemMessage);
+      }
+    })
+    .catch(err => console.error("Error creating system message:", err));
+};
 
 // Create a new group
 exports.createGroup = async (req, res) => {
@@ -50,13 +65,13 @@ exports.createGroup = async (req, res) => {
       .populate("admins", "-password")
       .populate("createdBy", "-password");
 
-    // Emit to all group members
-    allMembers.forEach((memberId) => {
-      const memberSocketId = onlineUsersMap.get(memberId.toString());
-      if (memberSocketId && ioInstance) {
-        ioInstance.to(memberSocketId).emit("newGroup", populatedGroup);
-      }
-    });
+    // Join every member's sockets to the group room, then emit to the room
+    if (ioInstance) {
+      allMembers.forEach((memberId) => {
+        ioInstance.in(userRoom(memberId)).socketsJoin(groupRoom(group._id));
+      });
+      ioInstance.to(groupRoom(group._id)).emit("newGroup", populatedGroup);
+    }
 
     res.status(201).json(populatedGroup);
   } catch (err) {
@@ -72,7 +87,7 @@ exports.getGroups = async (req, res) => {
 
     // Only populate essential fields, not full user objects
     const groups = await Group.find({ members: userId })
-      .select("name description groupIcon members admins createdBy updatedAt createdAt")
+      .select("name description groupIcon groupIconVariants settings members admins createdBy updatedAt createdAt")
       .lean() // Returns plain JS objects (faster)
       .sort({ updatedAt: -1 });
 
@@ -115,56 +130,71 @@ exports.getGroupMessages = async (req, res) => {
   try {
     const { groupId } = req.params;
     const userId = req.user.userId;
-    const page = parseInt(req.query.page) || 1;
+    const { page, before, after, around } = req.query;
     const limit = parseInt(req.query.limit) || 50;
-    const skip = (page - 1) * limit;
 
-    console.log(`📨 Fetching messages for group: ${groupId}, page: ${page}`);
+    console.log(`📨 Fetching messages for group: ${groupId}`, { page, before, after, around });
     console.log("✅ Fetching messages directly...");
 
+    // Hide messages deleted for me
+    const query = { groupId, deletedFor: { $ne: userId } };
+
+    const populateMessage = (q) => q
+      .populate("senderId", "name email profileImage about")
+      .populate(replyPreviewPopulate)
+      .lean()
+      .maxTimeMS(2000);
+
     // Fetch with aggressive timeout
     try {
-      const queryPromise = Promise.all([
-        Message.countDocuments({ groupId }).maxTimeMS(2000),
-        Message.find({ groupId })
-          .populate("senderId", "name email profileImage about")
-          .lean()
-          .sort({ createdAt: -1 })
-          .skip(skip)
-          .limit(limit)
-          .maxTimeMS(2000)
-      ]);
+      let queryPromise;
+      if (page) {
+        // Legacy page-based pagination for older clients (keeps the full count)
+        const currentPage = parseInt(page) || 1;
+        const skip = (currentPage - 1) * limit;
+
+        queryPromise = Promise.all([
+          Message.countDocuments(query).maxTimeMS(2000),
+          populateMessage(Message.find(query))
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(limit)
+        ]).then(([totalMessages, messages]) => ({
+          messages: messages.reverse(),
+          pagination: {
+            currentPage,
+            totalPages: Math.ceil(totalMessages / limit),
+            totalMessages,
+            hasMore: skip + messages.length < totalMessages,
+          }
+        }));
+      } else {
+        // Cursor-based pagination (no count on the hot path)
+        queryPromise = paginateMessages(query, { before, after, around, limit }, populateMessage);
+      }
 
       const timeoutPromise = new Promise((_, reject) =>
         setTimeout(() => reject(new Error('Query timeout')), 3000)
       );
 
-      const [totalMessages, messages] = await Promise.race([queryPromise, timeoutPromise]);
+      const result = await Promise.race([queryPromise, timeoutPromise]);
+      result.messages = withReactionSummary(result.messages, userId);
 
-      console.log(`✅ Found ${messages.length} messages (total: ${totalMessages})`);
+      console.log(`✅ Found ${result.messages.length} messages`);
 
-      const reversedMessages = messages.reverse();
-
-      return res.status(200).json({
-        messages: reversedMessages,
-        pagination: {
-          currentPage: page,
-          totalPages: Math.ceil(totalMessages / limit),
-          totalMessages,
-          hasMore: skip + messages.length < totalMessages,
-        }
-      });
+      return res.status(200).json(result);
     } catch (timeoutErr) {
+      // Bad cursors are client errors, not timeouts
+      if (timeoutErr.status) {
+        return res.status(timeoutErr.status).json({ message: timeoutErr.message });
+      }
       console.error("❌ Query timeout, returning empty array");
       // Return empty on timeout to prevent crash
       return res.status(200).json({
         messages: [],
-        pagination: {
-          currentPage: page,
-          totalPages: 0,
-          totalMessages: 0,
-          hasMore: false,
-        }
+        pagination: page
+          ? { currentPage: parseInt(page) || 1, totalPages: 0, totalMessages: 0, hasMore: false }
+          : { hasMore: false, hasNewer: false, before: null, after: null },
       });
     }
   } catch (err) {
@@ -177,58 +207,73 @@ exports.getGroupMessages = async (req, res) => {
 exports.sendGroupMessage = async (req, res) => {
   try {
     console.log("📨 Received group message request");
-    const { groupId, message } = req.body;
+    const { groupId, message, replyTo } = req.body;
     const senderId = req.user.userId;
     
-    console.log("📍 Sender:", senderId, "| Group:", groupId, "| Message:", message);
+    console.log("📍 Sender:", senderId, "| Group:", groupId, "| Message:", message, req.attachment ? `(+ ${req.attachment.type} attachment)` : "");
 
-    if (!groupId || !message) {
-      return res.status(400).json({ message: "Group and message are required" });
+    if (!groupId || (!message && !req.attachment)) {
+      discardUpload(req);
+      return res.status(400).json({ message: "Group and message or attachment are required" });
     }
 
-    // Check for duplicate request
-    const cacheKey = `${senderId}:${groupId}:${message}`;
-    const lastRequest = messageCache.get(cacheKey);
-    const now = Date.now();
-    
-    if (lastRequest && (now - lastRequest) < 3000) {
+    // Membership was checked by groupMember (cached, see utils/groupAccess.js)
+    const access = req.groupAccess;
+    if (access.archived) {
+      discardUpload(req);
+      return res.status(403).json({ message: "This group is archived and read-only" });
+    }
+
+    // Announcement-style groups: only admins may post
+    if (access.settings.onlyAdminsCanSend && !access.admins.includes(senderId)) {
+      discardUpload(req);
+      return res.status(403).json({ message: "Only admins can send messages in this group" });
+    }
+
+    // Quoted message must be in this group
+    if (replyTo) {
+      await validateReplyTo(replyTo, { groupId });
+    }
+
+    // Check for duplicate request (same sender/group/text within 3s, shared across instances)
+    const attachmentKey = req.attachment ? `${req.attachment.originalName}:${req.attachment.size}` : "";
+    const cacheKey = `groupMessage:${senderId}:${groupId}:${message}:${attachmentKey}`;
+    const isFirstRequest = await sharedStore.setIfAbsent(cacheKey, 3000);
+
+    if (!isFirstRequest) {
       console.log("⚠️ Duplicate request detected, ignoring");
+      discardUpload(req);
       return res.status(200).json({ message: "Duplicate request ignored" });
     }
-    
-    messageCache.set(cacheKey, now);
 
-    // Skip slow group query - just create the message
-    // Frontend has already validated user has access to this group
+    // Mark as delivered for the other members that are online right now
     const deliveredTo = [];
-    if (onlineUsersMap) {
-      onlineUsersMap.forEach((socketId, userId) => {
-        if (userId !== senderId) {
-          deliveredTo.push({ userId, deliveredAt: new Date() });
-        }
-      });
-    }
+    const onlineUserIds = await sharedStore.getOnlineUserIds();
+    onlineUserIds.forEach((userId) => {
+      if (userId !== senderId && access.members.includes(userId)) {
+        deliveredTo.push({ userId, deliveredAt: new Date() });
+      }
+    });
 
     console.log("💾 Creating message...");
     const newMessage = await Message.create({
       senderId,
       groupId,
-      message,
-      status: deliveredTo.length > 0 ? "delivered" : "sent",
+      message: message || "",
+      replyTo,
+      status: groupMessageStatus({ senderId, deliveredTo, readBy: [], status: "sent" }, access.members),
       deliveredTo,
+      ...attachmentFields(req.attachment),
     });
     console.log("✅ Message created:", newMessage._id);
 
-    // Get group to find members
-    const group = await Group.findById(groupId).select('members').lean();
-    const groupMemberIds = group ? group.members.map(m => m.toString()) : [];
-
     // Update group updatedAt
     Group.findByIdAndUpdate(groupId, { updatedAt: Date.now() }).exec().catch(() => {});
 
     // Populate and emit with timeout protection
     const populatePromise = Message.findById(newMessage._id)
       .populate("senderId", "name email profileImage about")
+      .populate(replyPreviewPopulate)
       .lean()
       .maxTimeMS(3000)
       .exec();
@@ -239,35 +284,20 @@ exports.sendGroupMessage = async (req, res) => {
     
     Promise.race([populatePromise, timeoutPromise])
       .then(populatedMessage => {
-        console.log("✅ Populated, emitting to group members (excluding sender)");
-        if (ioInstance && onlineUsersMap) {
-          // Only emit to group members who are online and NOT the sender
-          groupMemberIds.forEach((memberId) => {
-            if (memberId !== senderId) {
-              const socketId = onlineUsersMap.get(memberId);
-              if (socketId) {
-                console.log(`  📤 Member ${memberId}: ${socketId}`);
-                ioInstance.to(socketId).emit("receiveGroupMessage", populatedMessage);
-              }
-            }
-          });
+        console.log("✅ Populated, emitting to group room (excluding sender)");
+        if (ioInstance) {
+          // Only members are in the room; skip all of the sender's devices
+          ioInstance.to(groupRoom(groupId)).except(userRoom(senderId)).emit("receiveGroupMessage", populatedMessage);
         }
       })
       .catch(err => {
         console.error("❌ Populate error:", err.message);
         // Fallback: emit without populated sender
-        if (ioInstance && onlineUsersMap) {
+        if (ioInstance) {
           console.log("⚠️ Emitting without population");
-          groupMemberIds.forEach((memberId) => {
-            if (memberId !== senderId) {
-              const socketId = onlineUsersMap.get(memberId);
-              if (socketId) {
-                ioInstance.to(socketId).emit("receiveGroupMessage", {
-                  ...newMessage.toObject(),
-                  senderId: { _id: senderId }
-                });
-              }
-            }
+          ioInstance.to(groupRoom(groupId)).except(userRoom(senderId)).emit("receiveGroupMessage", {
+            ...newMessage.toObject(),
+            senderId: { _id: senderId }
           });
         }
       });
@@ -278,16 +308,95 @@ exports.sendGroupMessage = async (req, res) => {
       senderId,
       groupId,
       message: newMessage.message,
+      messageType: newMessage.messageType,
+      attachment: newMessage.attachment,
+      replyTo: newMessage.replyTo,
       status: newMessage.status,
       deliveredTo: newMessage.deliveredTo,
       createdAt: newMessage.createdAt
     });
   } catch (err) {
+    discardUpload(req);
+    if (err.status) {
+      return res.status(err.status).json({ message: err.message });
+    }
     console.error("❌ Error:", err.message);
     res.status(500).json({ message: "Failed to send message", error: err.message });
   }
 };
 
+// Delivery/read details for a group message (sender only)
+exports.getMessageInfo = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.userId;
+
+    const message = await Message.findOne({ _id: id, groupId: { $exists: true } })
+      .populate("deliveredTo.userId", "name profileImage")
+      .populate("readBy.userId", "name profileImage")
+      .lean();
+    if (!message) {
+      return res.status(404).json({ message: "Message not found" });
+    }
+
+    const access = await requireGroupMember(message.groupId, userId);
+    if (message.senderId?.toString() !== userId) {
+      return res.status(403).json({ message: "Only the sender can view message info" });
+    }
+
+    // Only current members count - people who left are dropped from the lists
+    const isMember = (receipt) => receipt.userId && access.members.includes(receipt.userId._id.toString());
+    const readBy = message.readBy.filter(isMember);
+    const readIds = new Set(readBy.map((r) => r.userId._id.toString()));
+    const deliveredTo = message.deliveredTo.filter((d) => isMember(d) && !readIds.has(d.userId._id.toString()));
+    const receivedIds = new Set([...readIds, ...deliveredTo.map((d) => d.userId._id.toString())]);
+
+    res.status(200).json({
+      messageId: message._id,
+      status: message.status,
+      readBy: readBy.map((r) => ({ user: r.userId, readAt: r.readAt })),
+      deliveredTo: deliveredTo.map((d) => ({ user: d.userId, deliveredAt: d.deliveredAt })),
+      pending: access.members.filter((m) => m !== userId && !receivedIds.has(m)),
+    });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error("Error fetching message info:", err);
+    res.status(500).json({ message: "Failed to fetch message info", error: err.message });
+  }
+};
+
+// Mark every message in a group up to upTo as read
+exports.markGroupRead = async (req, res) => {
+  try {
+    const { groupId } = req.params;
+    const { upTo } = req.body;
+    const userId = req.user.userId;
+
+    const { readAt, count, statusChanges } = await markGroupReadUpTo(groupId, userId, upTo, req.groupAccess.members);
+
+    if (ioInstance) {
+      // Senders whose messages are now read by everyone
+      statusChanges.forEach(({ messageId, senderId, status }) => {
+        ioInstance.to(userRoom(senderId)).emit("messageStatusUpdate", { messageId, groupId, status });
+      });
+      // Other members (and the reader's other devices) update receipts and unread counts
+      if (count > 0) {
+        ioInstance.to(groupRoom(groupId)).emit("groupMessagesRead", { groupId, userId, upTo, readAt });
+      }
+    }
+
+    res.status(200).json({ count, readAt });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error("Error marking group read:", err);
+    res.status(500).json({ message: "Failed to mark group read", error: err.message });
+  }
+};
+
 // Add members to group
 exports.addMembers = async (req, res) => {
   try {
@@ -305,25 +414,36 @@ exports.addMembers = async (req, res) => {
     }
 
     // Add new members
+    const addedMemberIds = [];
     members.forEach((memberId) => {
       if (!group.members.some((m) => m.toString() === memberId)) {
         group.members.push(memberId);
+        addedMemberIds.push(memberId);
       }
     });
+    group.leftMembers = group.leftMembers.filter((l) => !addedMemberIds.includes(l.userId.toString()));
+    group.joinRequests = group.joinRequests.filter((r) => !addedMemberIds.includes(r.userId.toString()));
 
     await group.save();
 
+    // Join the new members' sockets to the group room
+    if (ioInstance) {
+      addedMemberIds.forEach((memberId) => {
+        ioInstance.in(userRoom(memberId)).socketsJoin(groupRoom(groupId));
+      });
+    }
+
     const populatedGroup = await Group.findById(groupId)
       .populate("members", "-password")
       .populate("admins", "-password");
 
     // Emit to all members
-    group.members.forEach((memberId) => {
-      const memberSocketId = onlineUsersMap.get(memberId.toString());
-      if (memberSocketId && ioInstance) {
-        ioInstance.to(memberSocketId).emit("groupUpdated", populatedGroup);
-      }
-    });
+    if (ioInstance) {
+      ioInstance.to(groupRoom(groupId)).emit("groupUpdated", populatedGroup);
+    }
+    if (addedMemberIds.length > 0) {
+      postSystemMessage(groupId, "membersAdded", { actorId: userId, targetIds: addedMemberIds });
+    }
 
     res.status(200).json(populatedGroup);
   } catch (err) {
@@ -348,32 +468,44 @@ exports.removeMember = async (req, res) => {
       return res.status(403).json({ message: "Only admins can remove members" });
     }
 
+    if (!group.members.some((m) => m.toString() === memberId)) {
+      return res.status(400).json({ message: "User is not a member of this group" });
+    }
+
     // Cannot remove creator
     if (group.createdBy.toString() === memberId) {
       return res.status(400).json({ message: "Cannot remove group creator" });
     }
 
+    // Only the owner can remove other admins
+    if (group.createdBy.toString() !== userId && group.admins.some((a) => a.toString() === memberId)) {
+      return res.status(403).json({ message: "Only the group owner can remove admins" });
+    }
+
     group.members = group.members.filter((m) => m.toString() !== memberId);
     group.admins = group.admins.filter((a) => a.toString() !== memberId);
+    group.leftMembers.push({ userId: memberId, leftAt: new Date() });
     await group.save();
 
+    // Evict the removed member's sockets from the group room
+    if (ioInstance) {
+      ioInstance.in(userRoom(memberId)).socketsLeave(groupRoom(groupId));
+    }
+
     const populatedGroup = await Group.findById(groupId)
       .populate("members", "-password")
       .populate("admins", "-password");
 
     // Emit to all members
-    group.members.forEach((member) => {
-      const memberSocketId = onlineUsersMap.get(member.toString());
-      if (memberSocketId && ioInstance) {
-        ioInstance.to(memberSocketId).emit("groupUpdated", populatedGroup);
-      }
-    });
+    if (ioInstance) {
+      ioInstance.to(groupRoom(groupId)).emit("groupUpdated", populatedGroup);
+    }
 
     // Notify removed member
-    const removedSocketId = onlineUsersMap.get(memberId);
-    if (removedSocketId && ioInstance) {
-      ioInstance.to(removedSocketId).emit("removedFromGroup", groupId);
+    if (ioInstance) {
+      ioInstance.to(userRoom(memberId)).emit("removedFromGroup", groupId);
     }
+    postSystemMessage(groupId, "memberRemoved", { actorId: userId, targetIds: [memberId] });
 
     res.status(200).json(populatedGroup);
   } catch (err) {
@@ -385,43 +517,713 @@ exports.removeMember = async (req, res) => {
 // Update group details
 exports.updateGroup = async (req, res) => {
   try {
-    const { groupId, name, description } = req.body;
+    const { groupId, name, description, removeIcon } = req.body;
     const userId = req.user.userId;
 
     const group = await Group.findById(groupId);
     if (!group) {
+      discardUpload(req);
       return res.status(404).json({ message: "Group not found" });
     }
 
-    // Check if user is admin
-    if (!group.admins.some((admin) => admin.toString() === userId)) {
+    // Admins only, unless the group lets every member edit its info
+    const isAdmin = group.admins.some((admin) => admin.toString() === userId);
+    const isMember = group.members.some((member) => member.toString() === userId);
+    if (!isAdmin && (group.settings.onlyAdminsCanEditInfo || !isMember)) {
+      discardUpload(req);
       return res.status(403).json({ message: "Only admins can update group" });
     }
 
+    const previousName = group.name;
     if (name) group.name = name;
     if (description !== undefined) group.description = description;
 
+    // New icon (req.image from processImageUpload) or icon removal
+    let replacedIconKeys = [];
+    if (req.image || removeIcon === true || removeIcon === "true") {
+      replacedIconKeys = imageKeysFromUrls(group.groupIcon, group.groupIconVariants);
+      group.groupIcon = req.image ? storage.publicUrl(req.image.key) : "";
+      group.groupIconVariants = req.image
+        ? imageVariantUrls("groups", req.image)
+        : { thumbnail: "", medium: "", placeholder: "" };
+    }
+
     await group.save();
 
+    // The old icon and its variants are no longer referenced
+    scheduleRemoval(replacedIconKeys);
+
     const populatedGroup = await Group.findById(groupId)
       .populate("members", "-password")
       .populate("admins", "-password");
 
     // Emit to all members
-    group.members.forEach((memberId) => {
-      const memberSocketId = onlineUsersMap.get(memberId.toString());
-      if (memberSocketId && ioInstance) {
-        ioInstance.to(memberSocketId).emit("groupUpdated", populatedGroup);
-      }
-    });
+    if (ioInstance) {
+      ioInstance.to(groupRoom(groupId)).emit("groupUpdated", populatedGroup);
+    }
+    if (group.name !== previousName) {
+      postSystemMessage(groupId, "groupRenamed", {
+        actorId: userId,
+        data: { name: group.name, previousName },
+      });
+    }
 
     res.status(200).json(populatedGroup);
   } catch (err) {
+    discardUpload(req);
     console.error("Error updating group:", err);
     res.status(500).json({ message: "Failed to update group", error: err.message });
   }
 };
 
+// Update group settings (admins only)
+exports.updateGroupSettings = async (req, res) => {
+  try {
+    const { groupId } = req.params;
+    const userId = req.user.userId;
+    const {
+      onlyAdminsCanSend,
+      onlyAdminsCanEditInfo,
+      joinApprovalRequired,
+      messageRetentionDays,
+    } = req.body;
+
+    const group = await Group.findById(groupId);
+    if (!group) {
+      return res.status(404).json({ message: "Group not found" });
+    }
+
+    if (!group.admins.some((admin) => admin.toString() === userId)) {
+      return res.status(403).json({ message: "Only admins can change group settings" });
+    }
+
+    const toggles = { onlyAdminsCanSend, onlyAdminsCanEditInfo, joinApprovalRequired };
+    for (const [setting, value] of Object.entries(toggles)) {
+      if (value === undefined) continue;
+      if (typeof value !== "boolean") {
+        return res.status(400).json({ message: `${setting} must be a boolean` });
+      }
+      group.settings[setting] = value;
+    }
+
+    if (messageRetentionDays !== undefined) {
+      if (!Number.isInteger(messageRetentionDays) || messageRetentionDays < 0) {
+        return res.status(400).json({ message: "messageRetentionDays must be a whole number of days (0 = forever)" });
+      }
+      group.settings.messageRetentionDays = messageRetentionDays;
+    }
+
+    await group.save();
+
+    const populatedGroup = await Group.findById(groupId)
+      .populate("members", "-password")
+      .populate("admins", "-password");
+
+    // Emit to all members
+    if (ioInstance) {
+      ioInstance.to(groupRoom(groupId)).emit("groupUpdated", populatedGroup);
+    }
+
+    res.status(200).json(populatedGroup);
+  } catch (err) {
+    console.error("Error updating group settings:", err);
+    res.status(500).json({ message: "Failed to update group settings", error: err.message });
+  }
+};
+
+// Promote a member to admin (owner or admins)
+exports.promoteAdmin = async (req, res) => {
+  try {
+    const { groupId } = req.params;
+    const { memberId } = req.body;
+    const userId = req.user.userId;
+
+    const group = await Group.findById(groupId);
+    if (!group) {
+      return res.status(404).json({ message: "Group not found" });
+    }
+
+    if (!group.admins.some((admin) => admin.toString() === userId)) {
+      return res.status(403).json({ message: "Only admins can promote members" });
+    }
+
+    if (!memberId || !group.members.some((m) => m.toString() === memberId)) {
+      return res.status(400).json({ message: "User is not a member of this group" });
+    }
+
+    if (group.admins.some((a) => a.toString() === memberId)) {
+      return res.status(400).json({ message: "User is already an admin" });
+    }
+
+    group.admins.push(memberId);
+    await group.save();
+
+    const populatedGroup = await Group.findById(groupId)
+      .populate("members", "-password")
+      .populate("admins", "-password");
+
+    // Emit to all members
+    if (ioInstance) {
+      ioInstance.to(groupRoom(groupId)).emit("groupUpdated", populatedGroup);
+    }
+    postSystemMessage(groupId, "adminPromoted", { actorId: userId, targetIds: [memberId] });
+
+    res.status(200).json(populatedGroup);
+  } catch (err) {
+    console.error("Error promoting member:", err);
+    res.status(500).json({ message: "Failed to promote member", error: err.message });
+  }
+};
+
+// Demote an admin (owner can demote any admin, admins can step down themselves)
+exports.demoteAdmin = async (req, res) => {
+  try {
+    const { groupId } = req.params;
+    const { memberId } = req.body;
+    const userId = req.user.userId;
+
+    const group = await Group.findById(groupId);
+    if (!group) {
+      return res.status(404).json({ message: "Group not found" });
+    }
+
+    const isOwner = group.createdBy.toString() === userId;
+    if (!isOwner && memberId !== userId) {
+      return res.status(403).json({ message: "Only the group owner can demote other admins" });
+    }
+
+    if (!memberId || !group.admins.some((a) => a.toString() === memberId)) {
+      return res.status(400).json({ message: "User is not an admin of this group" });
+    }
+
+    // The owner always stays admin
+    if (group.createdBy.toString() === memberId) {
+      return res.status(400).json({ message: "Cannot demote the group owner. Transfer ownership first." });
+    }
+
+    group.admins = group.admins.filter((a) => a.toString() !== memberId);
+    await group.save();
+
+    const populatedGroup = await Group.findById(groupId)
+      .populate("members", "-password")
+      .populate("admins", "-password");
+
+    // Emit to all members
+    if (ioInstance) {
+      ioInstance.to(groupRoom(groupId)).emit("groupUpdated", populatedGroup);
+    }
+    postSystemMessage(groupId, "adminDemoted", { actorId: userId, targetIds: [memberId] });
+
+    res.status(200).json(populatedGroup);
+  } catch (err) {
+    console.error("Error demoting admin:", err);
+    res.status(500).json({ message: "Failed to demote admin", error: err.message });
+  }
+};
+
+// Transfer group ownership to another member (owner only)
+exports.transferOwnership = async (req, res) => {
+  try {
+    const { groupId } = req.params;
+    const { memberId } = req.body;
+    const userId = req.user.userId;
+
+    const group = await Group.findById(groupId);
+    if (!group) {
+      return res.status(404).json({ message: "Group not found" });
+    }
+
+    if (group.createdBy.toString() !== userId) {
+      return res.status(403).json({ message: "Only the group owner can transfer ownership" });
+    }
+
+    if (!memberId || memberId === userId || !group.members.some((m) => m.toString() === memberId)) {
+      return res.status(400).json({ message: "New owner must be another member of this group" });
+    }
+
+    // New owner becomes admin, the previous owner stays admin
+    group.createdBy = memberId;
+    if (!group.admins.some((a) => a.toString() === memberId)) {
+      group.admins.push(memberId);
+    }
+    await group.save();
+
+    const populatedGroup = await Group.findById(groupId)
+      .populate("members", "-password")
+      .populate("admins", "-password")
+      .populate("createdBy", "-password");
+
+    // Emit to all members
+    if (ioInstance) {
+      ioInstance.to(groupRoom(groupId)).emit("groupUpdated", populatedGroup);
+    }
+    postSystemMessage(groupId, "ownershipTransferred", { actorId: userId, targetIds: [memberId] });
+
+    res.status(200).json(populatedGroup);
+  } catch (err) {
+    console.error("Error transferring ownership:", err);
+    res.status(500).json({ message: "Failed to transfer ownership", error: err.message });
+  }
+};
+
+// Add a user who came in through an invite (directly or after approval)
+const admitMember = async (group, memberId, inviteId) => {
+  const groupId = group._id;
+  if (!group.members.some((m) => m.toString() === memberId)) {
+    group.members.push(memberId);
+  }
+  group.leftMembers = group.leftMembers.filter((l) => l.userId.toString() !== memberId);
+  group.joinRequests = group.joinRequests.filter((r) => r.userId.toString() !== memberId);
+  await group.save();
+
+  // Join the new member's sockets to the group room
+  if (ioInstance) {
+    ioInstance.in(userRoom(memberId)).socketsJoin(groupRoom(groupId));
+  }
+
+  const populatedGroup = await Group.findById(groupId)
+    .populate("members", "-password")
+    .populate("admins", "-password");
+
+  // Emit to all members
+  if (ioInstance) {
+    ioInstance.to(groupRoom(groupId)).emit("groupUpdated", populatedGroup);
+  }
+  postSystemMessage(groupId, "memberJoined", { actorId: memberId, data: { inviteId } });
+
+  return populatedGroup;
+};
+
+// Invites with uses left - a use is only counted once the member is actually admitted
+const UNDER_USE_LIMIT = { $or: [{ maxUses: null }, { $expr: { $lt: ["$uses", "$maxUses"] } }] };
+
+// Invites that can still be used to join right now
+const openInviteFilter = (now) => ({
+  revokedAt: null,
+  $and: [{ $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] }, UNDER_USE_LIMIT],
+});
+
+// Create an invite link (admins only)
+exports.createInvite = async (req, res) => {
+  try {
+    const { groupId } = req.params;
+    const { expiresInHours, maxUses } = req.body;
+    const userId = req.user.userId;
+
+    const group = await Group.findById(groupId).select("admins").lean();
+    if (!group) {
+      return res.status(404).json({ message: "Group not found" });
+    }
+
+    if (!group.admins.some((admin) => admin.toString() === userId)) {
+      return res.status(403).json({ message: "Only admins can create invite links" });
+    }
+
+    if (expiresInHours !== undefined && !(Number(expiresInHours) > 0)) {
+      return res.status(400).json({ message: "expiresInHours must be a positive number" });
+    }
+    if (maxUses !== undefined && !(Number.isInteger(Number(maxUses)) && Number(maxUses) > 0)) {
+      return res.status(400).json({ message: "maxUses must be a positive whole number" });
+    }
+
+    const invite = await GroupInvite.create({
+      groupId,
+      token: crypto.randomBytes(16).toString("base64url"),
+      createdBy: userId,
+      expiresAt: expiresInHours ? new Date(Date.now() + Number(expiresInHours) * 60 * 60 * 1000) : null,
+      maxUses: maxUses ? Number(maxUses) : null,
+    });
+
+    res.status(201).json(invite);
+  } catch (err) {
+    console.error("Error creating invite:", err);
+    res.status(500).json({ message: "Failed to create invite", error: err.message });
+  }
+};
+
+// List a group's invite links that are not revoked (admins only)
+exports.getInvites = async (req, res) => {
+  try {
+    const { groupId } = req.params;
+    const userId = req.user.userId;
+
+    const group = await Group.findById(groupId).select("admins").lean();
+    if (!group) {
+      return res.status(404).json({ message: "Group not found" });
+    }
+
+    if (!group.admins.some((admin) => admin.toString() === userId)) {
+      return res.status(403).json({ message: "Only admins can view invite links" });
+    }
+
+    const invites = await GroupInvite.find({ groupId, revokedAt: null })
+      .populate("createdBy", "name profileImage")
+      .lean()
+      .sort({ createdAt: -1 });
+
+    res.status(200).json(invites);
+  } catch (err) {
+    console.error("Error fetching invites:", err);
+    res.status(500).json({ message: "Failed to fetch invites", error: err.message });
+  }
+};
+
+// Revoke an invite link (admins only)
+exports.revokeInvite = async (req, res) => {
+  try {
+    const { groupId, inviteId } = req.params;
+    const userId = req.user.userId;
+
+    const group = await Group.findById(groupId).select("admins").lean();
+    if (!group) {
+      return res.status(404).json({ message: "Group not found" });
+    }
+
+    if (!group.admins.some((admin) => admin.toString() === userId)) {
+      return res.status(403).json({ message: "Only admins can revoke invite links" });
+    }
+
+    const invite = await GroupInvite.findOneAndUpdate(
+      { _id: inviteId, groupId, revokedAt: null },
+      { revokedAt: new Date() },
+      { new: true }
+    );
+    if (!invite) {
+      return res.status(404).json({ message: "Invite not found" });
+    }
+
+    res.status(200).json(invite);
+  } catch (err) {
+    console.error("Error revoking invite:", err);
+    res.status(500).json({ message: "Failed to revoke invite", error: err.message });
+  }
+};
+
+// Preview the group behind an invite link before joining
+exports.previewInvite = async (req, res) => {
+  try {
+    const { token } = req.params;
+    const userId = req.user.userId;
+
+    const invite = await GroupInvite.findOne({ token }).lean();
+    if (!invite || invite.revokedAt) {
+      return res.status(404).json({ message: "Invite not found" });
+    }
+
+    const group = await Group.findById(invite.groupId)
+      .select("name description groupIcon groupIconVariants members settings")
+      .lean();
+    if (!group) {
+      return res.status(404).json({ message: "Invite not found" });
+    }
+
+    const expired = invite.expiresAt && invite.expiresAt <= new Date();
+    const usedUp = invite.maxUses && invite.uses >= invite.maxUses;
+
+    res.status(200).json({
+      group: {
+        _id: group._id,
+        name: group.name,
+        description: group.description,
+        groupIcon: group.groupIcon,
+        groupIconVariants: group.groupIconVariants,
+        memberCount: group.members.length,
+      },
+      requiresApproval: Boolean(group.settings?.joinApprovalRequired),
+      isMember: group.members.some((m) => m.toString() === userId),
+      valid: !expired && !usedUp,
+      expiresAt: invite.expiresAt,
+    });
+  } catch (err) {
+    console.error("Error previewing invite:", err);
+    res.status(500).json({ message: "Failed to preview invite", error: err.message });
+  }
+};
+
+// Join a group through an invite link (queued for approval when the group requires it)
+exports.joinWithInvite = async (req, res) => {
+  try {
+    const { token } = req.params;
+    const userId = req.user.userId;
+
+    const invite = await GroupInvite.findOne({ token, revokedAt: null }).lean();
+    if (!invite) {
+      return res.status(404).json({ message: "Invite not found" });
+    }
+
+    const group = await Group.findById(invite.groupId);
+    if (!group) {
+      return res.status(404).json({ message: "Invite not found" });
+    }
+
+    if (group.members.some((m) => m.toString() === userId)) {
+      return res.status(400).json({ message: "You are already a member of this group" });
+    }
+
+    if (group.archivedAt) {
+      return res.status(403).json({ message: "This group is archived and read-only" });
+    }
+
+    const alreadyRequested = group.joinRequests.some((r) => r.userId.toString() === userId);
+    if (alreadyRequested) {
+      return res.status(202).json({ message: "Join request pending approval", status: "pending" });
+    }
+
+    const now = new Date();
+    const expiredMessage = "Invite has expired or reached its usage limit";
+
+    // The use is counted when an admin approves the request
+    if (group.settings.joinApprovalRequired) {
+      if (!(await GroupInvite.exists({ _id: invite._id, ...openInviteFilter(now) }))) {
+        return res.status(410).json({ message: expiredMessage });
+      }
+
+      group.joinRequests.push({ userId, inviteId: invite._id, requestedAt: now });
+      await group.save();
+
+      // Let admins know someone is waiting
+      if (ioInstance) {
+        ioInstance.to(group.admins.map((admin) => userRoom(admin))).emit("groupJoinRequest", {
+          groupId: group._id,
+          userId,
+          requestedAt: now,
+        });
+      }
+
+      return res.status(202).json({ message: "Join request pending approval", status: "pending" });
+    }
+
+    // Count the use atomically so concurrent joins cannot exceed maxUses
+    const redeemed = await GroupInvite.findOneAndUpdate(
+      { _id: invite._id, ...openInviteFilter(now) },
+      { $inc: { uses: 1 } }
+    );
+    if (!redeemed) {
+      return res.status(410).json({ message: expiredMessage });
+    }
+
+    const populatedGroup = await admitMember(group, userId, invite._id);
+    res.status(200).json(populatedGroup);
+  } catch (err) {
+    console.error("Error joining group:", err);
+    res.status(500).json({ message: "Failed to join group", error: err.message });
+  }
+};
+
+// List pending join requests (admins only)
+exports.getJoinRequests = async (req, res) => {
+  try {
+    const { groupId } = req.params;
+    const userId = req.user.userId;
+
+    const group = await Group.findById(groupId)
+      .select("admins joinRequests")
+      .populate("joinRequests.userId", "name email profileImage about")
+      .lean();
+    if (!group) {
+      return res.status(404).json({ message: "Group not found" });
+    }
+
+    if (!group.admins.some((admin) => admin.toString() === userId)) {
+      return res.status(403).json({ message: "Only admins can view join requests" });
+    }
+
+    res.status(200).json(group.joinRequests);
+  } catch (err) {
+    console.error("Error fetching join requests:", err);
+    res.status(500).json({ message: "Failed to fetch join requests", error: err.message });
+  }
+};
+
+// Approve or reject a pending join request (admins only)
+exports.resolveJoinRequest = async (req, res) => {
+  try {
+    const { groupId, userId: requesterId } = req.params;
+    const { approve } = req.body;
+    const userId = req.user.userId;
+
+    if (typeof approve !== "boolean") {
+      return res.status(400).json({ message: "approve must be a boolean" });
+    }
+
+    const group = await Group.findById(groupId);
+    if (!group) {
+      return res.status(404).json({ message: "Group not found" });
+    }
+
+    if (!group.admins.some((admin) => admin.toString() === userId)) {
+      return res.status(403).json({ message: "Only admins can resolve join requests" });
+    }
+
+    const request = group.joinRequests.find((r) => r.userId.toString() === requesterId);
+    if (!request) {
+      return res.status(404).json({ message: "Join request not found" });
+    }
+
+    // Added by an admin in the meantime - nothing left to approve
+    if (group.members.some((m) => m.toString() === requesterId)) {
+      group.joinRequests = group.joinRequests.filter((r) => r.userId.toString() !== requesterId);
+      await group.save();
+      return res.status(400).json({ message: "User is already a member of this group" });
+    }
+
+    if (approve && group.archivedAt) {
+      return res.status(403).json({ message: "This group is archived and read-only" });
+    }
+
+    // Count the invite use now - the request was made while the invite was open,
+    // so only its usage limit still applies
+    if (approve && request.inviteId) {
+      const redeemed = await GroupInvite.findOneAndUpdate(
+        { _id: request.inviteId, ...UNDER_USE_LIMIT },
+        { $inc: { uses: 1 } }
+      );
+      if (!redeemed) {
+        return res.status(409).json({ message: "Invite has reached its usage limit" });
+      }
+    }
+
+    // Tell the requester either way
+    if (ioInstance) {
+      ioInstance.to(userRoom(requesterId)).emit("groupJoinRequestResolved", { groupId, approved: approve });
+    }
+
+    if (!approve) {
+      group.joinRequests = group.joinRequests.filter((r) => r.userId.toString() !== requesterId);
+      await group.save();
+      return res.status(200).json({ message: "Join request rejected" });
+    }
+
+    const populatedGroup = await admitMember(group, requesterId, request.inviteId);
+    res.status(200).json(populatedGroup);
+  } catch (err) {
+    console.error("Error resolving join request:", err);
+    res.status(500).json({ message: "Failed to resolve join request", error: err.message });
+  }
+};
+
+// Archive (read-only) or unarchive a group (admins only)
+exports.archiveGroup = async (req, res) => {
+  try {
+    const { groupId } = req.params;
+    const { archived } = req.body;
+    const userId = req.user.userId;
+
+    if (typeof archived !== "boolean") {
+      return res.status(400).json({ message: "archived must be a boolean" });
+    }
+
+    const group = await Group.findById(groupId);
+    if (!group) {
+      return res.status(404).json({ message: "Group not found" });
+    }
+
+    if (!group.admins.some((admin) => admin.toString() === userId)) {
+      return res.status(403).json({ message: "Only admins can archive the group" });
+    }
+
+    if (Boolean(group.archivedAt) === archived) {
+      return res.status(400).json({ message: archived ? "Group is already archived" : "Group is not archived" });
+    }
+
+    group.archivedAt = archived ? new Date() : null;
+    await group.save();
+
+    const populatedGroup = await Group.findById(groupId)
+      .populate("members", "-password")
+      .populate("admins", "-password");
+
+    // Emit to all members
+    if (ioInstance) {
+      ioInstance.to(groupRoom(groupId)).emit("groupUpdated", populatedGroup);
+    }
+    postSystemMessage(groupId, archived ? "groupArchived" : "groupUnarchived", { actorId: userId });
+
+    res.status(200).json(populatedGroup);
+  } catch (err) {
+    console.error("Error archiving group:", err);
+    res.status(500).json({ message: "Failed to archive group", error: err.message });
+  }
+};
+
+// Delete a group (owner only) - restorable until the grace period ends
+exports.deleteGroup = async (req, res) => {
+  try {
+    const { groupId } = req.params;
+    const userId = req.user.userId;
+
+    const group = await Group.findById(groupId);
+    if (!group) {
+      return res.status(404).json({ message: "Group not found" });
+    }
+
+    if (group.createdBy.toString() !== userId) {
+      return res.status(403).json({ message: "Only the group owner can delete the group" });
+    }
+
+    const deletedAt = new Date();
+    const restoreUntil = GROUP_DELETE_GRACE_MS > 0 ? new Date(deletedAt.getTime() + GROUP_DELETE_GRACE_MS) : null;
+
+    if (restoreUntil) {
+      group.deletedAt = deletedAt;
+      group.deleteAfter = restoreUntil;
+      await group.save();
+    } else {
+      await purgeGroup(group);
+    }
+
+    // Tell members, then empty the room
+    if (ioInstance) {
+      ioInstance.to(groupRoom(groupId)).emit("groupDeleted", { groupId, restoreUntil });
+      ioInstance.in(groupRoom(groupId)).socketsLeave(groupRoom(groupId));
+    }
+
+    res.status(200).json({ message: "Group deleted", restoreUntil });
+  } catch (err) {
+    console.error("Error deleting group:", err);
+    res.status(500).json({ message: "Failed to delete group", error: err.message });
+  }
+};
+
+// Restore a deleted group during its grace period (owner only)
+exports.restoreGroup = async (req, res) => {
+  try {
+    const { groupId } = req.params;
+    const userId = req.user.userId;
+
+    const group = await Group.findOne({ _id: groupId, deletedAt: { $ne: null }, deleteAfter: { $gt: new Date() } });
+    if (!group) {
+      return res.status(404).json({ message: "Deleted group not found" });
+    }
+
+    if (group.createdBy.toString() !== userId) {
+      return res.status(403).json({ message: "Only the group owner can restore the group" });
+    }
+
+    group.deletedAt = null;
+    group.deleteAfter = null;
+    await group.save();
+
+    const populatedGroup = await Group.findById(groupId)
+      .populate("members", "-password")
+      .populate("admins", "-password")
+      .populate("createdBy", "-password");
+
+    // Rejoin every member's sockets, then hand the group back to them
+    if (ioInstance) {
+      group.members.forEach((memberId) => {
+        ioInstance.in(userRoom(memberId)).socketsJoin(groupRoom(groupId));
+      });
+      ioInstance.to(groupRoom(groupId)).emit("newGroup", populatedGroup);
+    }
+
+    res.status(200).json(populatedGroup);
+  } catch (err) {
+    console.error("Error restoring group:", err);
+    res.status(500).json({ message: "Failed to restore group", error: err.message });
+  }
+};
+
 // Leave group
 exports.leaveGroup = async (req, res) => {
   try {
@@ -440,19 +1242,23 @@ exports.leaveGroup = async (req, res) => {
 
     group.members = group.members.filter((m) => m.toString() !== userId);
     group.admins = group.admins.filter((a) => a.toString() !== userId);
+    group.leftMembers.push({ userId, leftAt: new Date() });
     await group.save();
 
+    // Evict the leaving user's sockets from the group room
+    if (ioInstance) {
+      ioInstance.in(userRoom(userId)).socketsLeave(groupRoom(groupId));
+    }
+
     const populatedGroup = await Group.findById(groupId)
       .populate("members", "-password")
       .populate("admins", "-password");
 
     // Emit to remaining members
-    group.members.forEach((memberId) => {
-      const memberSocketId = onlineUsersMap.get(memberId.toString());
-      if (memberSocketId && ioInstance) {
-        ioInstance.to(memberSocketId).emit("groupUpdated", populatedGroup);
-      }
-    });
+    if (ioInstance) {
+      ioInstance.to(groupRoom(groupId)).emit("groupUpdated", populatedGroup);
+    }
+    postSystemMessage(groupId, "memberLeft", { actorId: userId });
 
     res.status(200).json({ message: "Left group successfully" });
   } catch (err) {
@@ -460,3 +1266,55 @@ exports.leaveGroup = async (req, res) => {
     res.status(500).json({ message: "Failed to leave group", error: err.message });
   }
 };
+
+// Remove a deleted account from all of its groups (called by auth deleteAccount)
+// Owned groups are handed to the longest-serving admin, or the first remaining member
+exports.removeUserFromGroups = async (userId) => {
+  await Group.updateMany({ "joinRequests.userId": userId }, { $pull: { joinRequests: { userId } } });
+
+  const groups = await Group.find({ members: userId });
+
+  for (const group of groups) {
+    const groupId = group._id;
+    group.members = group.members.filter((m) => m.toString() !== userId);
+    group.admins = group.admins.filter((a) => a.toString() !== userId);
+
+    // Nobody left - drop the group entirely
+    if (group.members.length === 0) {
+      await purgeGroup(group);
+      continue;
+    }
+
+    let newOwnerId = null;
+    if (group.createdBy.toString() === userId) {
+      newOwnerId = group.admins[0] || group.members[0];
+      group.createdBy = newOwnerId;
+      if (!group.admins.some((a) => a.toString() === newOwnerId.toString())) {
+        group.admins.push(newOwnerId);
+      }
+    }
+
+    group.leftMembers.push({ userId, leftAt: new Date() });
+    await group.save();
+
+    const populatedGroup = await Group.findById(groupId)
+      .populate("members", "-password")
+      .populate("admins", "-password");
+
+    if (ioInstance) {
+      ioInstance.in(userRoom(userId)).socketsLeave(groupRoom(groupId));
+      ioInstance.to(groupRoom(groupId)).emit("groupUpdated", populatedGroup);
+    }
+    // The account is gone, so the departure is recorded without a sender
+    postSystemMessage(groupId, "memberLeft", {
+      targetIds: [userId],
+      data: { reason: "accountDeleted" },
+    });
+    if (newOwnerId) {
+      postSystemMessage(groupId, "ownershipHandedOff", {
+        targetIds: [newOwnerId],
+        data: { previousOwnerId: userId, reason: "accountDeleted" },
+      });
+    }
+  }
+};
@@ -0,0 +1,129 @@
+const Group = require("../models/Group");
+const Message = require("../models/Message");
+const User = require("../models/User");
+const httpError = require("../utils/httpError");
+const { replyPreviewPopulate } = require("../utils/replies");
+const { withReactionSummary } = require("../utils/reactions");
+const { parseSince, changedAfter, cutPage } = require("../utils/syncCursor");
+
+const SYNC_LIMIT = 500; // Max messages per sync page
+const SYNC_USER_LIMIT = 500; // Max users per sync page
+
+// Public profile fields synced for contacts
+const USER_FIELDS = "name email profileImage profileImageVariants about isOnline lastSeen updatedAt";
+
+// Collect everything that changed for a user since a cursor (shared by REST and socket resume)
+exports.collectChanges = async (userId, since) => {
+  const cursor = parseSince(since);
+  if (!cursor) throw httpError(400, "Invalid since cursor");
+
+  const syncStartedAt = new Date();
+  const [groups, sentTo, receivedFrom] = await Promise.all([
+    Group.find({ members: userId })
+      .select("name description groupIcon groupIconVariants settings members admins createdBy updatedAt createdAt")
+      .lean(),
+    Message.distinct("receiverId", { senderId: userId }),
+    Message.distinct("senderId", { receiverId: userId }),
+  ]);
+  const groupIds = groups.map((g) => g._id);
+
+  // Only people the user shares a conversation or group with (and the user's own profile)
+  const contactIds = [
+    ...new Set(
+      [userId, ...sentTo, ...receivedFrom, ...groups.flatMap((g) => g.members)]
+        .filter(Boolean)
+        .map(String)
+    ),
+  ];
+
+  const [messages, removedGroups, deletedGroups, users] = await Promise.all([
+    // Messages created or updated (status, readBy...) after the cursor
+    Message.find({
+      $and: [
+        {
+          $or: [
+            { senderId: userId },
+            { receiverId: userId },
+            { groupId: { $in: groupIds } },
+          ],
+        },
+        changedAfter(cursor.time, cursor.lastId),
+      ],
+    })
+      .populate("senderId", "name email profileImage about")
+      .populate("receiverId", "name email profileImage about")
+      .populate(replyPreviewPopulate)
+      .lean()
+      .sort({ updatedAt: 1, _id: 1 })
+      .limit(SYNC_LIMIT + 1),
+    Group.find({
+      leftMembers: { $elemMatch: { userId, leftAt: { $gt: cursor.time } } },
+    })
+      .select("_id")
+      .lean(),
+    Group.find({ members: userId, deletedAt: { $gt: cursor.time } })
+      .select("_id")
+      .lean(),
+    User.find({
+      $and: [
+        { _id: { $in: contactIds }, emailVerified: { $ne: false } },
+        changedAfter(cursor.time, cursor.lastUserId),
+      ],
+    })
+      .select(USER_FIELDS)
+      .lean()
+      .sort({ updatedAt: 1, _id: 1 })
+      .limit(SYNC_USER_LIMIT + 1),
+  ]);
+
+  const page = cutPage({
+    cursor,
+    messages,
+    users,
+    messageLimit: SYNC_LIMIT,
+    userLimit: SYNC_USER_LIMIT,
+    syncStartedAt,
+  });
+
+  // Messages deleted "for me" only go out as ids so the client can drop its copy
+  // (the rest keep paging order, so they stay in the same query)
+  const uid = userId.toString();
+  const deletedMessages = [];
+  const visibleMessages = [];
+  for (const { deletedFor, ...message } of page.messages) {
+    if (deletedFor?.some((id) => id.toString() === uid)) {
+      deletedMessages.push(message._id);
+    } else {
+      visibleMessages.push(message);
+    }
+  }
+
+  // New messages vs. status changes on messages the client already has
+  const newMessages = visibleMessages.filter((m) => m.createdAt > cursor.time);
+  const updatedMessages = visibleMessages.filter((m) => m.createdAt <= cursor.time);
+
+  return {
+    messages: withReactionSummary(newMessages, uid),
+    updatedMessages: withReactionSummary(updatedMessages, uid),
+    deletedMessages,
+    groups: groups.filter((g) => g.updatedAt > cursor.time),
+    removedGroups: [...removedGroups, ...deletedGroups].map((g) => g._id),
+    users: page.users,
+    cursor: page.cursor,
+    hasMore: page.hasMore,
+  };
+};
+
+// Get everything the user missed since a cursor
+exports.getSync = async (req, res) => {
+  try {
+    const changes = await exports.collectChanges(req.user.userId, req.query.since);
+    res.status(200).json(changes);
+  } catch (err) {
+    if (err.status === 400) {
+      return res.status(400).json({ message: err.message });
+    }
+    console.error("Error syncing changes:", err);
+    res.status(500).json({ message: "Failed to sync", error: err.message });
+  }
+};
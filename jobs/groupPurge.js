@@ -0,0 +1,60 @@
+// Permanently removes the content of soft-deleted groups once their grace period is over
+const Group = require("../models/Group");
+const GroupInvite = require("../models/GroupInvite");
+const { scheduleRemoval } = require("./storageGc");
+const { purgeMessages } = require("./messageRetention");
+const { imageKeysFromUrls } = require("../utils/images");
+const { invalidateGroupAccess } = require("../utils/groupAccess");
+
+const SWEEP_INTERVAL_MS = 15 * 60 * 1000;
+
+// Delete a group's messages, invites and icon
+// The document itself stays as a tombstone (deletedAt set, deleteAfter cleared, content emptied)
+// so members who were offline still get it in removedGroups on their next sync
+const purgeGroup = async (group) => {
+  await purgeMessages({ groupId: group._id });
+  await GroupInvite.deleteMany({ groupId: group._id });
+  await Group.updateOne(
+    { _id: group._id },
+    {
+      deletedAt: group.deletedAt || new Date(),
+      deleteAfter: null,
+      description: "",
+      groupIcon: "",
+      groupIconVariants: { thumbnail: "", medium: "", placeholder: "" },
+      joinRequests: [],
+    }
+  );
+  invalidateGroupAccess(group._id);
+  scheduleRemoval(imageKeysFromUrls(group.groupIcon, group.groupIconVariants));
+};
+
+exports.purgeGroup = purgeGroup;
+
+// Purge every soft-deleted group that is past its grace period
+const sweep = async () => {
+  const due = await Group.find({ deletedAt: { $ne: null }, deleteAfter: { $lte: new Date() } })
+    .select("groupIcon groupIconVariants")
+    .lean();
+
+  for (const group of due) {
+    try {
+      await purgeGroup(group);
+    } catch (err) {
+      console.error(`Error purging group ${group._id}:`, err);
+    }
+  }
+
+  if (due.length) {
+    console.log(`🧹 Purged ${due.length} deleted group(s)`);
+  }
+};
+
+exports.sweep = sweep;
+
+// Start the periodic purge (call once the database is connected)
+exports.startGroupPurge = () => {
+  setInterval(() => {
+    sweep().catch(err => console.error("Group purge error:", err));
+  }, SWEEP_INTERVAL_MS).unref();
+};
@@ -0,0 +1,55 @@
+// Purges group messages older than each group's messageRetentionDays setting
+const Group = require("../models/Group");
+const Message = require("../models/Message");
+const { scheduleRemoval } = require("./storageGc");
+
+const SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Delete the messages matching filter, queueing their attachment files for the storage GC
+// Returns the number of deleted messages
+const purgeMessages = async (filter) => {
+  const withFiles = await Message.find({ ...filter, "attachment.fileName": { $exists: true } })
+    .select("attachment.fileName attachment.variants")
+    .lean();
+  scheduleRemoval(
+    withFiles.flatMap(({ attachment }) =>
+      [attachment.fileName, attachment.variants?.thumbnail, attachment.variants?.medium]
+        .filter(Boolean)
+        .map((name) => `attachments/${name}`)
+    )
+  );
+
+  const { deletedCount } = await Message.deleteMany(filter);
+  return deletedCount;
+};
+
+exports.purgeMessages = purgeMessages;
+
+// Delete expired messages in every group that has a retention period
+const sweep = async () => {
+  const groups = await Group.find({ "settings.messageRetentionDays": { $gt: 0 } })
+    .select("settings.messageRetentionDays")
+    .lean();
+
+  for (const group of groups) {
+    try {
+      const cutoff = new Date(Date.now() - group.settings.messageRetentionDays * DAY_MS);
+      const deletedCount = await purgeMessages({ groupId: group._id, createdAt: { $lt: cutoff } });
+      if (deletedCount) {
+        console.log(`🧹 Purged ${deletedCount} expired message(s) from group ${group._id}`);
+      }
+    } catch (err) {
+      console.error(`Error purging messages for group ${group._id}:`, err);
+    }
+  }
+};
+
+exports.sweep = sweep;
+
+// Start the periodic purge (call once the database is connected)
+exports.startMessageRetention = () => {
+  setInterval(() => {
+    sweep().catch(err => console.error("Message retention error:", err));
+  }, SWEEP_INTERVAL_MS).unref();
+};
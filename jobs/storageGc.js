@@ -0,0 +1,46 @@
+// Garbage collection for stored uploads that are no longer referenced
+const OrphanedFile = require("../models/OrphanedFile");
+const storage = require("../storage");
+
+// Keep replaced files around for a while so cached clients can still load them
+const GRACE_PERIOD_MS = (parseInt(process.env.STORAGE_GC_GRACE_MINUTES) || 60) * 60 * 1000;
+const SWEEP_INTERVAL_MS = 5 * 60 * 1000;
+const BATCH_SIZE = 100;
+
+// Queue storage keys for deletion (fire and forget)
+exports.scheduleRemoval = (keys) => {
+  if (!keys.length) return;
+
+  const deleteAfter = new Date(Date.now() + GRACE_PERIOD_MS);
+  OrphanedFile.insertMany(keys.map((key) => ({ key, deleteAfter })))
+    .catch(err => console.error("Error scheduling file removal:", err));
+};
+
+// Delete every orphaned file that is past its grace period
+const sweep = async () => {
+  const due = await OrphanedFile.find({ deleteAfter: { $lte: new Date() } })
+    .limit(BATCH_SIZE)
+    .lean();
+
+  for (const file of due) {
+    try {
+      await storage.remove(file.key);
+      await OrphanedFile.deleteOne({ _id: file._id });
+    } catch (err) {
+      console.error(`Error removing orphaned file ${file.key}:`, err);
+    }
+  }
+
+  if (due.length) {
+    console.log(`🧹 Removed ${due.length} orphaned file(s)`);
+  }
+};
+
+exports.sweep = sweep;
+
+// Start the periodic sweep (call once the database is connected)
+exports.startStorageGc = () => {
+  setInterval(() => {
+    sweep().catch(err => console.error("Storage GC error:", err));
+  }, SWEEP_INTERVAL_MS).unref();
+};
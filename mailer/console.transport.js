@@ -0,0 +1,7 @@
+// Console transport - prints mails instead of sending them (local development)
+
+module.exports = ({ from = "no-reply@chatapp.local" } = {}) => ({
+  async send({ to, subject, text }) {
+    console.log(`📧 Mail from ${from} to ${to}: ${subject}\n${text}`);
+  },
+});
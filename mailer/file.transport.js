@@ -0,0 +1,13 @@
+// File transport - writes each mail as a JSON file, handy for tests and manual QA
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+module.exports = ({ dir, from = "no-reply@chatapp.local" }) => ({
+  async send({ to, subject, text }) {
+    await fs.promises.mkdir(dir, { recursive: true });
+    const fileName = `${Date.now()}-${crypto.randomBytes(4).toString("hex")}.json`;
+    const mail = { from, to, subject, text, sentAt: new Date() };
+    await fs.promises.writeFile(path.join(dir, fileName), JSON.stringify(mail, null, 2));
+  },
+});
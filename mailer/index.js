@@ -0,0 +1,19 @@
+// Outgoing email (password resets, verification...)
+// MAIL_TRANSPORT picks the transport: "console" (default) logs mails, "file" writes them to MAIL_DIR
+// A transport is any object with `async send({ to, subject, text })`
+const os = require("os");
+const path = require("path");
+const createConsoleTransport = require("./console.transport");
+
+const createMailer = () => {
+  if (process.env.MAIL_TRANSPORT === "file") {
+    const createFileTransport = require("./file.transport");
+    const dir = process.env.MAIL_DIR || path.join(os.tmpdir(), "chat-mail");
+    console.log(`Writing outgoing mail to ${dir}`);
+    return createFileTransport({ dir, from: process.env.MAIL_FROM });
+  }
+
+  return createConsoleTransport({ from: process.env.MAIL_FROM });
+};
+
+module.exports = createMailer();
@@ -1,7 +1,20 @@
 // backend/middleware/auth.middleware.js
 const jwt = require("jsonwebtoken");
+const { isSessionRevoked } = require("../utils/sessions");
 
-exports.auth = (req, res, next) => {
+// Verify an access token and return { userId, sessionId } (throws if invalid or revoked)
+// Tokens issued before sessions existed have no sessionId and simply run until they expire
+const verifyToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  if (await isSessionRevoked(decoded.sessionId)) {
+    throw new Error("Session revoked");
+  }
+  return { userId: decoded.userId.toString(), sessionId: decoded.sessionId || null };
+};
+
+exports.verifyToken = verifyToken;
+
+exports.auth = async (req, res, next) => {
   const authHeader = req.headers.authorization;
   if (!authHeader || !authHeader.startsWith("Bearer ")) {
     return res.status(401).json({ message: "No token provided" });
@@ -10,10 +23,34 @@ exports.auth = (req, res, next) => {
   const token = authHeader.split(" ")[1];
 
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = { userId: decoded.userId }; // attach userId to req.user
-    next();
+    req.user = await verifyToken(token); // attach { userId, sessionId } to req.user
   } catch (err) {
     return res.status(401).json({ message: "Invalid token" });
   }
+  next();
+};
+
+// Socket.IO handshake middleware - same JWT as the REST API
+// Token can be sent as `auth: { token }` or as a Bearer Authorization header
+exports.socketAuth = async (socket, next) => {
+  const authHeader = socket.handshake.headers.authorization;
+  let token = socket.handshake.auth && socket.handshake.auth.token;
+
+  if (!token && authHeader && authHeader.startsWith("Bearer ")) {
+    token = authHeader.split(" ")[1];
+  }
+
+  if (!token) {
+    return next(new Error("No token provided"));
+  }
+
+  try {
+    // Bind the socket to the authenticated user and session
+    const { userId, sessionId } = await verifyToken(token);
+    socket.userId = userId;
+    socket.sessionId = sessionId;
+  } catch (err) {
+    return next(new Error("Invalid token"));
+  }
+  next();
 };
@@ -0,0 +1,21 @@
+// backend/middleware/groupAccess.middleware.js
+const { requireGroupMember } = require("../utils/groupAccess");
+const { discardUpload } = require("../config/multer");
+
+// Only members of the group in req.params.groupId (or req.body.groupId) get through
+// Sets req.groupAccess (see utils/groupAccess.js); responds 404/403 otherwise
+// Runs after upload middleware, so rejected uploads are cleaned up here
+exports.groupMember = async (req, res, next) => {
+  try {
+    const groupId = req.params.groupId || (req.body && req.body.groupId);
+    req.groupAccess = await requireGroupMember(groupId, req.user.userId);
+    next();
+  } catch (err) {
+    discardUpload(req);
+    if (err.status) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error("Error checking group membership:", err);
+    res.status(500).json({ message: "Failed to check group membership", error: err.message });
+  }
+};
@@ -0,0 +1,24 @@
+// backend/middleware/rateLimit.middleware.js
+const { checkRouteLimit } = require("../utils/rateLimit");
+
+// Throttle a route action per client IP and per user (limits live in utils/rateLimit.js)
+// The user is the authenticated account, or the email an anonymous request is about (login, resets)
+// Goes before upload middleware so throttled requests never write files
+exports.rateLimit = (action) => async (req, res, next) => {
+  const email = typeof req.body?.email === "string" ? req.body.email.trim().toLowerCase() : null;
+  const user = req.user?.userId || email;
+
+  let retryAfter = 0;
+  try {
+    retryAfter = await checkRouteLimit(action, { ip: req.ip, user });
+  } catch (err) {
+    // Fail open - a store outage shouldn't take the API down with it
+    console.error("Error checking rate limit:", err);
+  }
+
+  if (retryAfter) {
+    res.set("Retry-After", String(retryAfter));
+    return res.status(429).json({ message: "Too many requests, try again later", retryAfter });
+  }
+  next();
+};
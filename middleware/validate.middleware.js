@@ -0,0 +1,47 @@
+// backend/middleware/validate.middleware.js
+const { formatIssues } = require("../validation/common");
+const { discardUpload } = require("../config/multer");
+
+// Validate req.params / req.query / req.body against zod schemas ({ params, query, body })
+// Responds 400 { message, errors: [{ path, message }] }; parsed params and body replace the raw ones
+// Runs after upload middleware on multipart routes, so rejected uploads are cleaned up here
+exports.validate = (schemas) => (req, res, next) => {
+  const errors = [];
+  const parsed = {};
+
+  for (const location of ["params", "query", "body"]) {
+    if (!schemas[location]) continue;
+    const result = schemas[location].safeParse(req[location] || {});
+    if (result.success) {
+      parsed[location] = result.data;
+    } else {
+      errors.push(...formatIssues(result.error, location));
+    }
+  }
+
+  if (errors.length > 0) {
+    discardUpload(req);
+    return res.status(400).json({ message: "Validation failed", errors });
+  }
+
+  // req.query is read-only in Express 5 - controllers keep reading the raw (validated) values
+  if (parsed.params) req.params = parsed.params;
+  if (parsed.body) req.body = parsed.body;
+  next();
+};
+
+// Wrap a socket.on handler so it only runs with a valid payload
+// Invalid payloads get { error: { message, errors } } through the ack, or a "validationError" event
+exports.validateEvent = (socket, event, schema, handler) => (payload, ack) => {
+  const result = schema.safeParse(payload ?? {});
+  if (result.success) {
+    return handler(result.data, ack);
+  }
+
+  const error = { message: "Validation failed", errors: formatIssues(result.error, "payload") };
+  if (typeof ack === "function") {
+    ack({ error });
+  } else {
+    socket.emit("validationError", { event, ...error });
+  }
+};
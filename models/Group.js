@@ -15,6 +15,12 @@ const groupSchema = new mongoose.Schema(
       type: String,
       default: "",
     },
+    // Resized variants of groupIcon (see utils/images.js)
+    groupIconVariants: {
+      thumbnail: { type: String, default: "" },
+      medium: { type: String, default: "" },
+      placeholder: { type: String, default: "" }, // Blurred data URI
+    },
     members: [
       {
         type: mongoose.Schema.Types.ObjectId,
@@ -27,6 +33,71 @@ const groupSchema = new mongoose.Schema(
         ref: "User",
       },
     ],
+    // Membership history so reconnecting clients can sync removals
+    leftMembers: [
+      {
+        userId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        leftAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    // Users waiting for admin approval after using an invite (settings.joinApprovalRequired)
+    joinRequests: [
+      {
+        userId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        inviteId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "GroupInvite",
+        },
+        requestedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    settings: {
+      onlyAdminsCanSend: {
+        type: Boolean,
+        default: false,
+      },
+      onlyAdminsCanEditInfo: {
+        type: Boolean,
+        default: true,
+      },
+      joinApprovalRequired: {
+        type: Boolean,
+        default: false,
+      },
+      // Messages older than this are purged (0 = keep forever)
+      messageRetentionDays: {
+        type: Number,
+        default: 0,
+        min: 0,
+      },
+    },
+    // Read-only: history stays readable but nobody can send
+    archivedAt: {
+      type: Date,
+      default: null,
+    },
+    // Soft delete - hidden from everyone, restorable by the owner until deleteAfter
+    // Once purged only a tombstone is left (deleteAfter cleared) for syncing the removal
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+    deleteAfter: {
+      type: Date,
+      default: null,
+    },
     createdBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
@@ -36,4 +107,21 @@ const groupSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+groupSchema.index({ members: 1, updatedAt: -1 }); // For a user's groups sorted by activity
+groupSchema.index({ "leftMembers.userId": 1, "leftMembers.leftAt": 1 }); // For syncing removals
+groupSchema.index({ deleteAfter: 1 }); // For purging soft-deleted groups
+
+// Soft-deleted groups are hidden unless the query filters on deletedAt itself
+groupSchema.pre(["find", "findOne", "findOneAndUpdate", "countDocuments"], function () {
+  if (this.getFilter().deletedAt === undefined) {
+    this.where({ deletedAt: null });
+  }
+});
+
+// Any saved change can affect membership, roles or settings - drop the cached access info
+// (required lazily - utils/groupAccess.js depends on this model)
+groupSchema.post("save", (group) => {
+  require("../utils/groupAccess").invalidateGroupAccess(group._id);
+});
+
 module.exports = mongoose.model("Group", groupSchema);
@@ -0,0 +1,44 @@
+const mongoose = require("mongoose");
+
+// Shareable link token that lets users join a group (POST /api/group/join/:token)
+const groupInviteSchema = new mongoose.Schema(
+  {
+    groupId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Group",
+      required: true,
+    },
+    token: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      default: null, // null = never expires
+    },
+    maxUses: {
+      type: Number,
+      default: null, // null = unlimited
+      min: 1,
+    },
+    uses: {
+      type: Number,
+      default: 0,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+groupInviteSchema.index({ groupId: 1, createdAt: -1 }); // For listing a group's invites
+
+module.exports = mongoose.model("GroupInvite", groupInviteSchema);
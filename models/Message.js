@@ -5,7 +5,10 @@ const messageSchema = new mongoose.Schema(
     senderId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
-      required: true,
+      // System messages for automatic changes have no sender
+      required: function () {
+        return this.messageType !== "system";
+      },
     },
     receiverId: {
       type: mongoose.Schema.Types.ObjectId,
@@ -17,13 +20,60 @@ const messageSchema = new mongoose.Schema(
     },
     message: {
       type: String,
-      required: true,
+      // Optional caption for attachments, cleared when deleted for everyone
+      required: function () {
+        return !this.isDeleted && !(this.attachment && this.attachment.fileName);
+      },
+    },
+    // Message this one replies to (same conversation)
+    replyTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Message",
     },
     messageType: {
       type: String,
-      enum: ["text", "image", "file"],
+      enum: ["text", "image", "file", "audio", "system"],
       default: "text",
     },
+    // Structured group change for system messages (see utils/systemMessages.js)
+    system: {
+      action: String, // e.g. "adminPromoted", "ownershipTransferred"
+      actorId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      targetIds: {
+        type: [
+          {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+          },
+        ],
+        default: undefined, // Keep regular messages free of an empty system block
+      },
+      data: mongoose.Schema.Types.Mixed, // Action specific details
+    },
+    // Uploaded file for image/file/audio messages (downloaded via /api/chat/attachment/:messageId)
+    attachment: {
+      fileName: String, // Stored name in the private attachments directory
+      originalName: String,
+      mimeType: String,
+      size: Number,
+      url: String,
+      // Images only
+      width: Number,
+      height: Number,
+      variants: {
+        thumbnail: String, // Stored file names
+        medium: String,
+      },
+      placeholder: String, // Blurred data URI
+      variantUrls: {
+        thumbnail: String,
+        medium: String,
+        placeholder: String,
+      },
+    },
     status: {
       type: String,
       enum: ["sent", "delivered", "read"],
@@ -54,6 +104,55 @@ const messageSchema = new mongoose.Schema(
         },
       },
     ],
+    // Emoji reactions - one entry per user per emoji
+    reactions: [
+      {
+        userId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        emoji: {
+          type: String,
+          required: true,
+        },
+        reactedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    // Edits - previous versions are kept
+    editedAt: {
+      type: Date,
+    },
+    editHistory: [
+      {
+        message: String,
+        editedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    // "Delete for me" - hidden from these users only
+    deletedFor: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+    // "Delete for everyone"
+    isDeleted: {
+      type: Boolean,
+      default: false,
+    },
+    deletedAt: {
+      type: Date,
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
   },
   { timestamps: true } // adds createdAt and updatedAt
 );
@@ -63,5 +162,8 @@ messageSchema.index({ groupId: 1, createdAt: -1 }); // For group messages sorted
 messageSchema.index({ senderId: 1, receiverId: 1, createdAt: -1 }); // For direct messages
 messageSchema.index({ receiverId: 1, senderId: 1, createdAt: -1 }); // For reverse direct messages
 messageSchema.index({ status: 1 }); // For filtering by status
+messageSchema.index({ senderId: 1, updatedAt: 1 }); // For offline sync (sent messages)
+messageSchema.index({ receiverId: 1, updatedAt: 1 }); // For offline sync (received messages)
+messageSchema.index({ groupId: 1, updatedAt: 1 }); // For offline sync (group messages)
 
 module.exports = mongoose.model("Message", messageSchema);
@@ -0,0 +1,21 @@
+const mongoose = require("mongoose");
+
+// Stored file that is no longer referenced (e.g. a replaced profile image),
+// removed from storage by the GC job once deleteAfter has passed
+const orphanedFileSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+    },
+    deleteAfter: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+orphanedFileSchema.index({ deleteAfter: 1 }); // For the GC sweep
+
+module.exports = mongoose.model("OrphanedFile", orphanedFileSchema);
@@ -0,0 +1,47 @@
+const mongoose = require("mongoose");
+
+// A logged-in device - holds the hash of its current refresh token (rotated on every refresh)
+const sessionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    refreshTokenHash: {
+      type: String,
+      required: true,
+    },
+    // The token it replaced - seeing it again means the refresh token was stolen
+    previousTokenHash: {
+      type: String,
+      default: null,
+    },
+    userAgent: {
+      type: String,
+      default: "",
+    },
+    ip: {
+      type: String,
+      default: "",
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+sessionSchema.index({ userId: 1, revokedAt: 1 }); // For listing a user's active sessions
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // Let MongoDB drop expired sessions
+
+module.exports = mongoose.model("Session", sessionSchema);
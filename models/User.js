@@ -20,6 +20,20 @@ const userSchema = new mongoose.Schema({
     type: String,
     default: "",
   },
+  // Resized variants of profileImage (see utils/images.js)
+  profileImageVariants: {
+    thumbnail: { type: String, default: "" },
+    medium: { type: String, default: "" },
+    placeholder: { type: String, default: "" }, // Blurred data URI
+  },
+  // New accounts start false and stay hidden from other users until the email is verified
+  // (accounts created before verification existed have no value and count as verified)
+  emailVerified: {
+    type: Boolean,
+  },
+  emailVerifiedAt: {
+    type: Date,
+  },
   about: {
     type: String,
     default: "Hey there! I am using Ahmad's ChatApp.",
@@ -37,5 +51,6 @@ const userSchema = new mongoose.Schema({
 
 // Compound index for sorting users by online status
 userSchema.index({ isOnline: -1, lastSeen: -1 });
+userSchema.index({ updatedAt: 1 }); // For offline sync of profile updates
 
 module.exports = mongoose.model("User", userSchema);
@@ -0,0 +1,36 @@
+const mongoose = require("mongoose");
+
+// Single-use emailed token (password reset, email verification) - only its SHA-256 hash is stored
+const userTokenSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    purpose: {
+      type: String,
+      enum: ["passwordReset", "emailVerification"],
+      required: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    usedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+userTokenSchema.index({ userId: 1, purpose: 1 }); // For dropping a user's older tokens
+userTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // Let MongoDB drop expired tokens
+
+module.exports = mongoose.model("UserToken", userTokenSchema);
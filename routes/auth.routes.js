@@ -1,12 +1,51 @@
 const router = require("express").Router();
-const { signup, login, getUsers, getUser, updateProfile } = require("../controllers/auth.controller");
+const {
+  signup,
+  login,
+  getUsers,
+  getUser,
+  updateProfile,
+  deleteAccount,
+  refresh,
+  logout,
+  logoutAll,
+  getSessions,
+  revokeSession,
+  changePassword,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+} = require("../controllers/auth.controller");
 const { auth } = require("../middleware/auth.middleware");
+const { validate } = require("../middleware/validate.middleware");
+const { rateLimit } = require("../middleware/rateLimit.middleware");
+const schemas = require("../validation/auth.schemas");
 const upload = require("../config/multer");
+const { processImageUpload } = upload;
 
-router.post("/signup", upload.single("profileImage"), signup);
-router.post("/login", login);
+router.post("/signup", rateLimit("signup"), upload.single("profileImage"), validate(schemas.signup), processImageUpload("profiles"), signup);
+router.post("/login", rateLimit("login"), validate(schemas.login), login);
+router.post("/refresh", validate(schemas.refresh), refresh);
+router.post("/verify", validate(schemas.verifyEmail), verifyEmail);
+router.post("/verify/resend", rateLimit("resendVerification"), validate(schemas.emailOnly), resendVerification);
+router.post("/forgot-password", rateLimit("forgotPassword"), validate(schemas.emailOnly), forgotPassword);
+router.post("/reset-password", validate(schemas.resetPassword), resetPassword);
+router.put("/password", auth, validate(schemas.changePassword), changePassword);
+router.post("/logout", auth, logout);
+router.post("/logout-all", auth, logoutAll);
+router.get("/sessions", auth, getSessions);
+router.delete("/sessions/:sessionId", auth, validate(schemas.revokeSession), revokeSession);
 router.get("/users", auth, getUsers);
 router.get("/user", auth, getUser);
-router.put("/profile", auth, upload.single("profileImage"), updateProfile);
+router.put(
+  "/profile",
+  auth,
+  upload.single("profileImage"),
+  validate(schemas.updateProfile),
+  processImageUpload("profiles"),
+  updateProfile
+);
+router.delete("/account", auth, validate(schemas.deleteAccount), deleteAccount);
 
 module.exports = router;
@@ -1,15 +1,41 @@
 // backend/routes/chat.routes.js
 const router = require("express").Router();
 const { auth } = require("../middleware/auth.middleware");
-const { getMessages, sendMessage, markAsRead } = require("../controllers/chat.controller");
+const { attachmentUpload } = require("../config/multer");
+const { validate } = require("../middleware/validate.middleware");
+const { rateLimit } = require("../middleware/rateLimit.middleware");
+const schemas = require("../validation/chat.schemas");
+const {
+  getMessages,
+  sendMessage,
+  markAsRead,
+  editMessage,
+  deleteMessage,
+  addReaction,
+  removeReaction,
+  downloadAttachment,
+} = require("../controllers/chat.controller");
 
 // Get messages between logged-in user and another user
-router.get("/:receiverId", auth, getMessages);
+router.get("/:receiverId", auth, validate(schemas.getMessages), getMessages);
 
-// Send a new message
-router.post("/", auth, sendMessage);
+// Send a new message (optional "attachment" file upload)
+router.post("/", auth, rateLimit("sendMessage"), attachmentUpload, validate(schemas.sendMessage), sendMessage);
 
 // Mark messages as read
-router.post("/mark-read", auth, markAsRead);
+router.post("/mark-read", auth, validate(schemas.markAsRead), markAsRead);
+
+// Edit a message (direct or group)
+router.patch("/message/:id", auth, validate(schemas.editMessage), editMessage);
+
+// Delete a message for me / for everyone (?scope=everyone)
+router.delete("/message/:id", auth, validate(schemas.deleteMessage), deleteMessage);
+
+// React to a message / remove a reaction
+router.post("/message/:id/reactions", auth, validate(schemas.addReaction), addReaction);
+router.delete("/message/:id/reactions/:emoji", auth, validate(schemas.removeReaction), removeReaction);
+
+// Download an attachment (participants only)
+router.get("/attachment/:messageId", auth, validate(schemas.downloadAttachment), downloadAttachment);
 
 module.exports = router;
@@ -0,0 +1,10 @@
+const router = require("express").Router();
+const { auth } = require("../middleware/auth.middleware");
+const { validate } = require("../middleware/validate.middleware");
+const { getConversations } = require("../controllers/conversation.controller");
+const schemas = require("../validation/conversation.schemas");
+
+// Get direct and group conversations with last message and unread counts (paged, newest first)
+router.get("/", auth, validate(schemas.getConversations), getConversations);
+
+module.exports = router;
@@ -0,0 +1,9 @@
+const router = require("express").Router();
+const { validate } = require("../middleware/validate.middleware");
+const schemas = require("../validation/file.schemas");
+const { getSignedFile } = require("../controllers/file.controller");
+
+// Signed download URLs - the signature is the authorization, no JWT needed
+router.get("/*key", validate(schemas.getSignedFile), getSignedFile);
+
+module.exports = router;
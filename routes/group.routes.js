@@ -2,35 +2,87 @@ const express = require("express");
 const router = express.Router();
 const groupController = require("../controllers/group.controller");
 const { auth } = require("../middleware/auth.middleware");
+const { groupMember } = require("../middleware/groupAccess.middleware");
+const { validate } = require("../middleware/validate.middleware");
+const { rateLimit } = require("../middleware/rateLimit.middleware");
+const schemas = require("../validation/group.schemas");
+const upload = require("../config/multer");
+const { attachmentUpload, processImageUpload } = upload;
 
 // All routes require authentication
+// (routes for a specific group also require membership - groupMember)
 router.use(auth);
 
 // Create group
-router.post("/create", groupController.createGroup);
+router.post("/create", rateLimit("createGroup"), validate(schemas.createGroup), groupController.createGroup);
+
+// Preview and join through an invite link
+router.get("/invite/:token", validate(schemas.inviteToken), groupController.previewInvite);
+router.post("/join/:token", validate(schemas.inviteToken), groupController.joinWithInvite);
 
 // Get all groups for user
 router.get("/", groupController.getGroups);
 
 // Get group details
-router.get("/:groupId", groupController.getGroupDetails);
+router.get("/:groupId", validate(schemas.groupOnly), groupMember, groupController.getGroupDetails);
 
 // Get group messages
-router.get("/:groupId/messages", groupController.getGroupMessages);
+router.get("/:groupId/messages", validate(schemas.getGroupMessages), groupMember, groupController.getGroupMessages);
+
+// Send group message (optional "attachment" file upload)
+router.post("/message", rateLimit("sendMessage"), attachmentUpload, validate(schemas.sendGroupMessage), groupMember, groupController.sendGroupMessage);
+
+// Delivery/read details for a message
+router.get("/message/:id/info", validate(schemas.messageInfo), groupController.getMessageInfo);
 
-// Send group message
-router.post("/message", groupController.sendGroupMessage);
+// Mark group read up to a message
+router.post("/:groupId/read", validate(schemas.markGroupRead), groupMember, groupController.markGroupRead);
 
 // Add members
-router.post("/add-members", groupController.addMembers);
+router.post("/add-members", validate(schemas.addMembers), groupMember, groupController.addMembers);
 
 // Remove member
-router.post("/remove-member", groupController.removeMember);
+router.post("/remove-member", validate(schemas.removeMember), groupMember, groupController.removeMember);
+
+// Update group (optional "groupIcon" image upload)
+router.put(
+  "/update",
+  upload.single("groupIcon"),
+  validate(schemas.updateGroup),
+  groupMember,
+  processImageUpload("groups"),
+  groupController.updateGroup
+);
+
+// Update group settings
+router.put("/:groupId/settings", validate(schemas.updateGroupSettings), groupMember, groupController.updateGroupSettings);
+
+// Promote a member to admin
+router.post("/:groupId/promote", validate(schemas.memberAction), groupMember, groupController.promoteAdmin);
+
+// Demote an admin
+router.post("/:groupId/demote", validate(schemas.memberAction), groupMember, groupController.demoteAdmin);
+
+// Transfer ownership
+router.post("/:groupId/transfer-ownership", validate(schemas.memberAction), groupMember, groupController.transferOwnership);
+
+// Invite links
+router.post("/:groupId/invites", validate(schemas.createInvite), groupMember, groupController.createInvite);
+router.get("/:groupId/invites", validate(schemas.groupOnly), groupMember, groupController.getInvites);
+router.delete("/:groupId/invites/:inviteId", validate(schemas.revokeInvite), groupMember, groupController.revokeInvite);
+
+// Join requests (groups that require approval)
+router.get("/:groupId/join-requests", validate(schemas.groupOnly), groupMember, groupController.getJoinRequests);
+router.post("/:groupId/join-requests/:userId", validate(schemas.resolveJoinRequest), groupMember, groupController.resolveJoinRequest);
+
+// Archive / unarchive (read-only)
+router.put("/:groupId/archive", validate(schemas.archiveGroup), groupMember, groupController.archiveGroup);
 
-// Update group
-router.put("/update", groupController.updateGroup);
+// Delete group, and restore it during the grace period
+router.delete("/:groupId", validate(schemas.groupOnly), groupMember, groupController.deleteGroup);
+router.post("/:groupId/restore", validate(schemas.groupOnly), groupController.restoreGroup);
 
 // Leave group
-router.post("/:groupId/leave", groupController.leaveGroup);
+router.post("/:groupId/leave", validate(schemas.groupOnly), groupMember, groupController.leaveGroup);
 
 module.exports = router;
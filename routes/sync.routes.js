@@ -0,0 +1,10 @@
+const router = require("express").Router();
+const { auth } = require("../middleware/auth.middleware");
+const { validate } = require("../middleware/validate.middleware");
+const schemas = require("../validation/sync.schemas");
+const { getSync } = require("../controllers/sync.controller");
+
+// Get all changes since a timestamp or cursor (?since=...)
+router.get("/", auth, validate(schemas.getSync), getSync);
+
+module.exports = router;
@@ -1,137 +1,257 @@
 const Message = require("./models/Message");
 const User = require("./models/User");
+const Group = require("./models/Group");
+const { socketAuth } = require("./middleware/auth.middleware");
+const store = require("./store");
+const { collectChanges } = require("./controllers/sync.controller");
+const { validateEvent } = require("./middleware/validate.middleware");
+const schemas = require("./validation/socket.schemas");
+const { getGroupAccess, requireGroupMember } = require("./utils/groupAccess");
+const { recordGroupReceipt, markGroupReadUpTo } = require("./utils/receipts");
+const { checkSocketEventLimit } = require("./utils/rateLimit");
 
-const onlineUsers = new Map();
+// Every socket joins its user's room so events fan out to all devices
+const userRoom = (userId) => `user:${userId}`;
+
+// Every member socket joins its groups' rooms so group events skip non-members
+const groupRoom = (groupId) => `group:${groupId}`;
+
+// Sockets also join their login session's room so a revoked session can be disconnected
+const sessionRoom = (sessionId) => `session:${sessionId}`;
 
 module.exports = (io) => {
+  // Share broadcasts and room membership across instances (no-op in memory)
+  store.attachAdapter(io);
+
+  // Users whose sockets were on a crashed instance never got a disconnect event
+  store.onUsersOffline(async (userIds) => {
+    try {
+      await User.updateMany({ _id: { $in: userIds } }, { isOnline: false, lastSeen: new Date() });
+      io.emit("onlineUsers", await store.getOnlineUserIds());
+    } catch (err) {
+      console.error("Error marking reaped users offline:", err);
+    }
+  });
+
+  // Reject connections without a valid JWT
+  io.use(socketAuth);
+
   io.on("connection", (socket) => {
-    console.log("🔗 User connected:", socket.id);
+    // Identity always comes from the verified token, never from event payloads
+    const userId = socket.userId;
+    console.log("🔗 User connected:", socket.id, "as", userId);
 
-    // User joins
-    socket.on("join", async (userId) => {
-      console.log("📥 Received join event for userId:", userId);
-      onlineUsers.set(userId, socket.id);
-      
-      // Update user online status (fire and forget - don't block)
-      setImmediate(() => {
-        User.findByIdAndUpdate(userId, { 
-          isOnline: true,
-          lastSeen: new Date() 
-        }).exec().catch(err => console.error("Error updating user status:", err));
-      });
+    socket.join(userRoom(userId));
+    if (socket.sessionId) {
+      socket.join(sessionRoom(socket.sessionId));
+    }
 
-      io.emit("onlineUsers", Array.from(onlineUsers.keys()));
-      console.log(`✅ User joined: ${userId} with socket: ${socket.id} - Total online: ${onlineUsers.size}`);
-      console.log(`📋 Current online users:`, Array.from(onlineUsers.entries()));
+    // Per-socket event rate limits - events over the limit are dropped
+    // The client hears about it through the ack, or a "rateLimited" event
+    socket.use(async ([event, ...args], next) => {
+      let retryAfter = 0;
+      try {
+        retryAfter = await checkSocketEventLimit(socket.id, event);
+      } catch (err) {
+        console.error("Error checking socket rate limit:", err);
+      }
+      if (!retryAfter) return next();
+
+      const error = { message: "Too many requests, try again later", retryAfter };
+      const ack = args[args.length - 1];
+      if (typeof ack === "function") {
+        ack({ error });
+      } else {
+        socket.emit("rateLimited", { event, ...error });
+      }
     });
 
-    // Send message via socket (for real-time delivery)
-    socket.on("sendMessage", (data) => {
-      const receiverSocket = onlineUsers.get(data.receiverId);
-      if (receiverSocket) {
-        io.to(receiverSocket).emit("receiveMessage", data);
+    // Auto-join a room for every group this user belongs to
+    Group.find({ members: userId })
+      .select("_id")
+      .lean()
+      .then((groups) => {
+        groups.forEach((group) => socket.join(groupRoom(group._id)));
+      })
+      .catch(err => console.error("Error joining group rooms:", err));
+
+    store.addSocket(userId, socket.id)
+      .then(async (deviceCount) => {
+        console.log(`✅ User joined: ${userId} with socket: ${socket.id} - Devices: ${deviceCount}`);
+        if (deviceCount > 1) return;
+
+        // First device - update user online status (fire and forget - don't block)
+        setImmediate(() => {
+          User.findByIdAndUpdate(userId, { 
+            isOnline: true,
+            lastSeen: new Date() 
+          }).exec().catch(err => console.error("Error updating user status:", err));
+        });
+
+        io.emit("onlineUsers", await store.getOnlineUserIds());
+      })
+      .catch(err => console.error("Error registering socket:", err));
+
+    // Kept for older clients - the user is already registered on connect,
+    // so the client-supplied userId is ignored
+    socket.on("join", async () => {
+      try {
+        socket.emit("onlineUsers", await store.getOnlineUserIds());
+      } catch (err) {
+        console.error("Error fetching online users:", err);
       }
     });
 
+    // Catch up after reconnecting - same payload as GET /api/sync
+    socket.on("resume", validateEvent(socket, "resume", schemas.resume, async ({ since }, ack) => {
+      try {
+        const changes = await collectChanges(userId, since);
+        if (typeof ack === "function") {
+          ack(changes);
+        } else {
+          socket.emit("resumeData", changes);
+        }
+      } catch (err) {
+        if (err.status !== 400) console.error("Error resuming session:", err);
+        const error = { message: err.status === 400 ? err.message : "Failed to sync" };
+        if (typeof ack === "function") {
+          ack({ error });
+        } else {
+          socket.emit("resumeError", error);
+        }
+      }
+    }));
+
+    // Send message via socket (for real-time delivery)
+    // Relayed fields are rebuilt from the validated payload, so a client can't pose as another sender
+    socket.on("sendMessage", validateEvent(socket, "sendMessage", schemas.sendMessage, ({ receiverId, message, tempId }) => {
+      io.to(userRoom(receiverId)).emit("receiveMessage", {
+        senderId: userId,
+        receiverId,
+        message,
+        tempId,
+        createdAt: new Date(),
+      });
+    }));
+
     // Send group message via socket
-    socket.on("sendGroupMessage", (data) => {
-      // Emit to all group members
-      if (data.groupMembers && Array.isArray(data.groupMembers)) {
-        data.groupMembers.forEach((memberId) => {
-          const memberSocket = onlineUsers.get(memberId);
-          if (memberSocket && memberSocket !== socket.id) {
-            io.to(memberSocket).emit("receiveGroupMessage", data);
-          }
+    socket.on("sendGroupMessage", validateEvent(socket, "sendGroupMessage", schemas.sendGroupMessage, async ({ groupId, message, tempId }) => {
+      // Only members (sockets in the room) can relay, and only where the REST send would be allowed
+      if (!socket.rooms.has(groupRoom(groupId))) return;
+      try {
+        const access = await getGroupAccess(groupId);
+        if (!access || access.archived) return;
+        if (access.settings.onlyAdminsCanSend && !access.admins.includes(userId)) return;
+
+        // Emit to the group room (skips this socket, reaches the sender's other devices)
+        socket.to(groupRoom(groupId)).emit("receiveGroupMessage", {
+          senderId: userId,
+          groupId,
+          message,
+          tempId,
+          createdAt: new Date(),
         });
+      } catch (err) {
+        console.error("Error relaying group message:", err);
       }
-    });
+    }));
 
     // Typing indicator for direct messages
-    socket.on("typing", ({ receiverId, senderId, isTyping }) => {
-      const receiverSocket = onlineUsers.get(receiverId);
-      if (receiverSocket) {
-        io.to(receiverSocket).emit("typing", { senderId, isTyping });
-      }
-    });
+    socket.on("typing", validateEvent(socket, "typing", schemas.typing, ({ receiverId, isTyping }) => {
+      io.to(userRoom(receiverId)).emit("typing", { senderId: userId, isTyping });
+    }));
 
     // Typing indicator for groups
-    socket.on("groupTyping", ({ groupId, senderId, senderName, isTyping }) => {
-      socket.broadcast.emit("groupTyping", { groupId, senderId, senderName, isTyping });
-    });
+    socket.on("groupTyping", validateEvent(socket, "groupTyping", schemas.groupTyping, ({ groupId, senderName, isTyping }) => {
+      // Only members (sockets in the room) can broadcast, and only to that group
+      if (socket.rooms.has(groupRoom(groupId))) {
+        socket.to(groupRoom(groupId)).emit("groupTyping", { groupId, senderId: userId, senderName, isTyping });
+      }
+    }));
 
     // Message delivered
-    socket.on("messageDelivered", async ({ messageId, userId }) => {
+    socket.on("messageDelivered", validateEvent(socket, "messageDelivered", schemas.messageReceipt, async ({ messageId }) => {
       // Fire and forget - don't block the socket
       setImmediate(async () => {
         try {
           const message = await Message.findById(messageId).lean();
           if (message) {
             if (message.groupId) {
-              // For group messages
-              if (!message.deliveredTo.some((d) => d.userId.toString() === userId)) {
-                await Message.findByIdAndUpdate(messageId, {
-                  $push: { deliveredTo: { userId, deliveredAt: new Date() } },
-                  $set: { status: message.status === "sent" ? "delivered" : message.status }
-                }).exec();
-              }
-            } else {
-              // For direct messages
-              if (message.status === "sent") {
-                await Message.findByIdAndUpdate(messageId, { status: "delivered" }).exec();
-              }
-            }
-            
-            // Notify sender (non-blocking)
-            const senderSocket = onlineUsers.get(message.senderId.toString());
-            if (senderSocket) {
-              io.to(senderSocket).emit("messageStatusUpdate", {
+              // For group messages - only current members can acknowledge
+              const access = await getGroupAccess(message.groupId);
+              if (!access || !access.members.includes(userId)) return;
+              const status = await recordGroupReceipt(messageId, userId, "deliveredTo", access.members);
+              if (!status) return;
+
+              // Sender gets the aggregate status (see GET /api/group/message/:id/info for details)
+              io.to(userRoom(message.senderId)).emit("messageStatusUpdate", {
                 messageId,
-                status: "delivered"
+                groupId: message.groupId,
+                status,
               });
+              return;
+            }
+
+            // For direct messages - only the receiver can acknowledge
+            if (message.receiverId.toString() !== userId) return;
+            if (message.status === "sent") {
+              await Message.findByIdAndUpdate(messageId, { status: "delivered" }).exec();
             }
+            
+            // Notify sender (non-blocking)
+            io.to(userRoom(message.senderId)).emit("messageStatusUpdate", {
+              messageId,
+              status: "delivered"
+            });
           }
         } catch (err) {
           console.error("Error updating message delivery:", err);
         }
       });
-    });
+    }));
 
     // Message read/seen
-    socket.on("messageRead", async ({ messageId, userId }) => {
+    socket.on("messageRead", validateEvent(socket, "messageRead", schemas.messageReceipt, async ({ messageId }) => {
       // Fire and forget - don't block
       setImmediate(async () => {
         try {
           const message = await Message.findById(messageId).lean();
           if (message) {
             if (message.groupId) {
-              // For group messages
-              if (!message.readBy.some((r) => r.userId.toString() === userId)) {
-                await Message.findByIdAndUpdate(messageId, {
-                  $push: { readBy: { userId, readAt: new Date() } }
-                }).exec();
-              }
-            } else {
-              // For direct messages
-              await Message.findByIdAndUpdate(messageId, { status: "read" }).exec();
-            }
-            
-            // Notify sender (non-blocking)
-            const senderSocket = onlineUsers.get(message.senderId.toString());
-            if (senderSocket) {
-              io.to(senderSocket).emit("messageStatusUpdate", {
+              // For group messages - only current members can acknowledge
+              const access = await getGroupAccess(message.groupId);
+              if (!access || !access.members.includes(userId)) return;
+              const status = await recordGroupReceipt(messageId, userId, "readBy", access.members);
+              if (!status) return;
+
+              // Sender gets the aggregate status (see GET /api/group/message/:id/info for details)
+              io.to(userRoom(message.senderId)).emit("messageStatusUpdate", {
                 messageId,
-                status: "read"
+                groupId: message.groupId,
+                status,
               });
+              return;
             }
+
+            // For direct messages - only the receiver can acknowledge
+            if (message.receiverId.toString() !== userId) return;
+            await Message.findByIdAndUpdate(messageId, { status: "read" }).exec();
+            
+            // Notify sender (non-blocking)
+            io.to(userRoom(message.senderId)).emit("messageStatusUpdate", {
+              messageId,
+              status: "read"
+            });
           }
         } catch (err) {
           console.error("Error updating message read:", err);
         }
       });
-    });
+    }));
 
-    // Mark all messages as read (fire and forget)
-    socket.on("markMessagesRead", ({ senderId, receiverId }) => {
+    // Mark all messages from senderId to this user as read (fire and forget)
+    socket.on("markMessagesRead", validateEvent(socket, "markMessagesRead", schemas.markMessagesRead, ({ senderId }) => {
+      const receiverId = userId;
       setImmediate(async () => {
         try {
           await Message.updateMany(
@@ -144,43 +264,65 @@ module.exports = (io) => {
           ).exec();
 
           // Notify sender (non-blocking)
-          const senderSocket = onlineUsers.get(senderId);
-          if (senderSocket) {
-            io.to(senderSocket).emit("messagesMarkedRead", { receiverId });
-          }
+          io.to(userRoom(senderId)).emit("messagesMarkedRead", { receiverId });
         } catch (err) {
           console.error("Error marking messages as read:", err);
         }
       });
-    });
+    }));
+
+    // Mark a group read up to a message (same as POST /api/group/:groupId/read)
+    socket.on("markGroupRead", validateEvent(socket, "markGroupRead", schemas.markGroupRead, async ({ groupId, upTo }, ack) => {
+      try {
+        const access = await requireGroupMember(groupId, userId);
+        const { readAt, count, statusChanges } = await markGroupReadUpTo(groupId, userId, upTo, access.members);
+
+        statusChanges.forEach(({ messageId, senderId, status }) => {
+          io.to(userRoom(senderId)).emit("messageStatusUpdate", { messageId, groupId, status });
+        });
+        if (count > 0) {
+          io.to(groupRoom(groupId)).emit("groupMessagesRead", { groupId, userId, upTo, readAt });
+        }
+
+        if (typeof ack === "function") ack({ count, readAt });
+      } catch (err) {
+        if (!err.status) console.error("Error marking group read:", err);
+        if (typeof ack === "function") {
+          ack({ error: { message: err.status ? err.message : "Failed to mark group read" } });
+        }
+      }
+    }));
 
     // Disconnect
     socket.on("disconnect", async () => {
       console.log("User disconnected:", socket.id);
       
-      let disconnectedUserId;
-      for (let [key, value] of onlineUsers) {
-        if (value === socket.id) {
-          disconnectedUserId = key;
-          onlineUsers.delete(key);
-          break;
+      try {
+        const remainingDevices = await store.removeSocket(userId, socket.id);
+
+        // Only go offline once the last device disconnects
+        if (remainingDevices === 0) {
+          // Update user offline status (fire and forget - don't block)
+          setImmediate(() => {
+            User.findByIdAndUpdate(userId, {
+              isOnline: false,
+              lastSeen: new Date(),
+            }).exec().catch(err => console.error("Error updating user status on disconnect:", err));
+          });
+
+          io.emit("onlineUsers", await store.getOnlineUserIds());
         }
-      }
 
-      if (disconnectedUserId) {
-        // Update user offline status (fire and forget - don't block)
-        setImmediate(() => {
-          User.findByIdAndUpdate(disconnectedUserId, {
-            isOnline: false,
-            lastSeen: new Date(),
-          }).exec().catch(err => console.error("Error updating user status on disconnect:", err));
-        });
+        console.log(`User ${userId} remaining devices: ${remainingDevices}`);
+      } catch (err) {
+        console.error("Error unregistering socket:", err);
       }
-
-      io.emit("onlineUsers", Array.from(onlineUsers.keys()));
-      console.log("Online users after disconnect:", onlineUsers.size);
     });
   });
 
-  return onlineUsers;
+  return store;
 };
+
+module.exports.userRoom = userRoom;
+module.exports.groupRoom = groupRoom;
+module.exports.sessionRoom = sessionRoom;
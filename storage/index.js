@@ -0,0 +1,27 @@
+// File storage backend for uploads
+// Uses S3 (or an S3-compatible server like MinIO) when S3_BUCKET is set, otherwise the local disk
+const path = require("path");
+const createLocalStorage = require("./local.storage");
+
+const createStorage = () => {
+  if (process.env.S3_BUCKET) {
+    const createS3Storage = require("./s3.storage");
+    console.log("Using S3 storage for uploads");
+    return createS3Storage({
+      bucket: process.env.S3_BUCKET,
+      region: process.env.S3_REGION || "us-east-1",
+      endpoint: process.env.S3_ENDPOINT,
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      publicUrl: process.env.S3_PUBLIC_URL,
+    });
+  }
+
+  return createLocalStorage({
+    publicDir: path.join(__dirname, "..", "uploads"),
+    privateDir: path.join(__dirname, "..", "attachments"),
+    signingSecret: process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET,
+  });
+};
+
+module.exports = createStorage();
@@ -0,0 +1,76 @@
+// Local-disk storage - public files under uploads/ (served by express.static),
+// private files (attachments/...) outside it, downloaded through HMAC-signed URLs
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const PRIVATE_PREFIX = "attachments/";
+
+module.exports = ({ publicDir, privateDir, signingSecret }) => {
+  // Map a storage key to its path on disk
+  const resolvePath = (key) => {
+    const filePath = key.startsWith(PRIVATE_PREFIX)
+      ? path.join(privateDir, key.slice(PRIVATE_PREFIX.length))
+      : path.join(publicDir, key);
+
+    // Never resolve outside the storage directories
+    const root = key.startsWith(PRIVATE_PREFIX) ? privateDir : publicDir;
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error("Invalid storage key");
+    }
+    return filePath;
+  };
+
+  const sign = (key, expires, name) =>
+    crypto.createHmac("sha256", signingSecret).update(`${key}:${expires}:${name}`).digest("hex");
+
+  return {
+    // Move a staged file into storage
+    async put(key, filePath) {
+      const destination = resolvePath(key);
+      await fs.promises.mkdir(path.dirname(destination), { recursive: true });
+      try {
+        await fs.promises.rename(filePath, destination);
+      } catch (err) {
+        if (err.code !== "EXDEV") throw err;
+        // Staging dir is on another device - copy instead
+        await fs.promises.copyFile(filePath, destination);
+        await fs.promises.unlink(filePath);
+      }
+    },
+
+    async remove(key) {
+      try {
+        await fs.promises.unlink(resolvePath(key));
+      } catch (err) {
+        if (err.code !== "ENOENT") throw err;
+      }
+    },
+
+    publicUrl(key) {
+      return `/uploads/${key}`;
+    },
+
+    // Reverse of publicUrl - null for URLs this storage didn't produce
+    keyFromUrl(url) {
+      return url && url.startsWith("/uploads/") ? url.slice("/uploads/".length) : null;
+    },
+
+    // Expiring URL served by GET /api/files/... (see file.controller.js)
+    async getSignedUrl(key, expiresInSeconds, downloadName = "") {
+      const expires = Math.floor(Date.now() / 1000) + expiresInSeconds;
+      const query = new URLSearchParams({ expires, name: downloadName, signature: sign(key, expires, downloadName) });
+      return `/api/files/${key}?${query}`;
+    },
+
+    // Local-only helpers for the signed download route
+    verifySignature(key, expires, name, signature) {
+      if (!signature || Number(expires) < Date.now() / 1000) return false;
+      const expected = Buffer.from(sign(key, expires, name || ""));
+      const received = Buffer.from(String(signature));
+      return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+    },
+
+    resolvePath,
+  };
+};
@@ -0,0 +1,59 @@
+// S3-compatible storage (AWS S3, MinIO, ...) - public files are served from
+// S3_PUBLIC_URL, private files through presigned GET URLs
+const fs = require("fs");
+const {
+  S3Client,
+  PutObjectCommand,
+  DeleteObjectCommand,
+  GetObjectCommand,
+} = require("@aws-sdk/client-s3");
+const { getSignedUrl } = require("@aws-sdk/s3-request-presigner");
+
+module.exports = ({ bucket, region, endpoint, accessKeyId, secretAccessKey, publicUrl }) => {
+  const client = new S3Client({
+    region,
+    endpoint,
+    // MinIO and most S3 stand-ins need path-style bucket addressing
+    forcePathStyle: Boolean(endpoint),
+    credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined,
+  });
+  const publicBase = (publicUrl || `${endpoint}/${bucket}`).replace(/\/$/, "");
+
+  return {
+    // Upload a staged file, then remove it locally
+    async put(key, filePath, contentType) {
+      const { size } = await fs.promises.stat(filePath);
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: fs.createReadStream(filePath),
+        ContentLength: size,
+        ContentType: contentType,
+      }));
+      await fs.promises.unlink(filePath);
+    },
+
+    async remove(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+
+    publicUrl(key) {
+      return `${publicBase}/${key}`;
+    },
+
+    keyFromUrl(url) {
+      return url && url.startsWith(`${publicBase}/`) ? url.slice(publicBase.length + 1) : null;
+    },
+
+    async getSignedUrl(key, expiresInSeconds, downloadName = "") {
+      const command = new GetObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        ResponseContentDisposition: downloadName
+          ? `attachment; filename*=UTF-8''${encodeURIComponent(downloadName)}`
+          : undefined,
+      });
+      return getSignedUrl(client, command, { expiresIn: expiresInSeconds });
+    },
+  };
+};
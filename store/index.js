@@ -0,0 +1,15 @@
+// Shared state store (presence, dedupe, cache, rate limit counters, Socket.IO adapter)
+// Uses Redis when REDIS_URL is set, otherwise keeps everything in-process
+const createMemoryStore = require("./memory.store");
+
+const createStore = () => {
+  if (process.env.REDIS_URL) {
+    const Redis = require("ioredis");
+    const createRedisStore = require("./redis.store");
+    console.log("Using Redis store for presence and Socket.IO adapter");
+    return createRedisStore(new Redis(process.env.REDIS_URL));
+  }
+  return createMemoryStore();
+};
+
+module.exports = createStore();
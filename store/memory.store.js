@@ -0,0 +1,108 @@
+// In-process store - the default for a single Node instance
+
+module.exports = () => {
+  const onlineUsers = new Map(); // userId -> Set of socket ids
+  const expiringKeys = new Map(); // key -> expiresAt timestamp
+  const cache = new Map(); // key -> { value, expiresAt }
+  const counters = new Map(); // key -> { count, expiresAt }
+
+  // Clean expired keys every 10 seconds
+  setInterval(() => {
+    const now = Date.now();
+    for (const [key, expiresAt] of expiringKeys.entries()) {
+      if (expiresAt <= now) {
+        expiringKeys.delete(key);
+      }
+    }
+    for (const [key, entry] of cache.entries()) {
+      if (entry.expiresAt <= now) {
+        cache.delete(key);
+      }
+    }
+    for (const [key, entry] of counters.entries()) {
+      if (entry.expiresAt <= now) {
+        counters.delete(key);
+      }
+    }
+  }, 10000).unref();
+
+  return {
+    // Socket.IO's built-in in-memory adapter is already in place
+    attachAdapter() {},
+
+    // Register a socket for a user, returns the user's device count
+    async addSocket(userId, socketId) {
+      if (!onlineUsers.has(userId)) {
+        onlineUsers.set(userId, new Set());
+      }
+      const sockets = onlineUsers.get(userId);
+      sockets.add(socketId);
+      return sockets.size;
+    },
+
+    // Unregister a socket, returns how many devices the user still has
+    async removeSocket(userId, socketId) {
+      const sockets = onlineUsers.get(userId);
+      if (!sockets) return 0;
+
+      sockets.delete(socketId);
+      if (sockets.size === 0) {
+        onlineUsers.delete(userId);
+      }
+      return sockets.size;
+    },
+
+    async isOnline(userId) {
+      return onlineUsers.has(userId.toString());
+    },
+
+    async getOnlineUserIds() {
+      return Array.from(onlineUsers.keys());
+    },
+
+    // Sockets only live as long as this process, so nobody is left behind to mark offline
+    onUsersOffline() {},
+
+    // Set a key for ttlMs unless it already exists - returns false on duplicates
+    async setIfAbsent(key, ttlMs) {
+      const expiresAt = expiringKeys.get(key);
+      if (expiresAt && expiresAt > Date.now()) {
+        return false;
+      }
+      expiringKeys.set(key, Date.now() + ttlMs);
+      return true;
+    },
+
+    // Short-lived cache for JSON-serializable values - returns null when missing or expired
+    async cacheGet(key) {
+      const entry = cache.get(key);
+      if (!entry || entry.expiresAt <= Date.now()) return null;
+      return entry.value;
+    },
+
+    async cacheSet(key, value, ttlMs) {
+      cache.set(key, { value, expiresAt: Date.now() + ttlMs });
+    },
+
+    async cacheDel(key) {
+      cache.delete(key);
+    },
+
+    // Count a hit in a fixed window that starts with the first hit
+    // Returns { count, resetMs } - hits so far and ms until the window resets
+    async increment(key, windowMs) {
+      const now = Date.now();
+      let entry = counters.get(key);
+      if (!entry || entry.expiresAt <= now) {
+        entry = { count: 0, expiresAt: now + windowMs };
+        counters.set(key, entry);
+      }
+      entry.count += 1;
+      return { count: entry.count, resetMs: entry.expiresAt - now };
+    },
+
+    async resetCounter(key) {
+      counters.delete(key);
+    },
+  };
+};
@@ -0,0 +1,155 @@
+// Redis-backed store - shares presence, dedupe state and Socket.IO
+// broadcasts between every Node instance behind the load balancer
+const { createAdapter } = require("@socket.io/redis-adapter");
+
+const crypto = require("crypto");
+
+const ONLINE_USERS_KEY = "presence:online";
+const INSTANCES_KEY = "presence:instances";
+const userSocketsKey = (userId) => `presence:user:${userId}`;
+const instanceSocketsKey = (instanceId) => `presence:instance:${instanceId}`;
+const instanceAliveKey = (instanceId) => `presence:instance:${instanceId}:alive`;
+
+// Every instance refreshes a heartbeat key - when one crashes its key expires and the
+// others remove the sockets it had registered, so its users don't stay online forever
+const HEARTBEAT_INTERVAL_MS = 10 * 1000;
+const INSTANCE_TTL_MS = 30 * 1000;
+
+// Add the socket, flag the user online and record it under this instance in one atomic step
+const ADD_SOCKET_SCRIPT = `
+redis.call("SADD", KEYS[1], ARGV[1])
+redis.call("SADD", KEYS[2], ARGV[2])
+redis.call("SADD", KEYS[3], ARGV[2] .. ":" .. ARGV[1])
+return redis.call("SCARD", KEYS[1])
+`;
+
+// Remove the socket and only clear the online flag when it was the last one
+const REMOVE_SOCKET_SCRIPT = `
+redis.call("SREM", KEYS[1], ARGV[1])
+redis.call("SREM", KEYS[3], ARGV[2] .. ":" .. ARGV[1])
+local remaining = redis.call("SCARD", KEYS[1])
+if remaining == 0 then
+  redis.call("SREM", KEYS[2], ARGV[2])
+end
+return remaining
+`;
+
+// Remove every socket of a dead instance ("userId:socketId" entries), then forget the instance.
+// Returns { removed socket count, ids of users who lost their last socket }
+// (it builds the per-user keys itself, so it assumes a single Redis rather than a cluster)
+const REAP_INSTANCE_SCRIPT = `
+local entries = redis.call("SMEMBERS", KEYS[1])
+local offline = {}
+for _, entry in ipairs(entries) do
+  local sep = string.find(entry, ":", 1, true)
+  local userId = string.sub(entry, 1, sep - 1)
+  local userKey = "presence:user:" .. userId
+  redis.call("SREM", userKey, string.sub(entry, sep + 1))
+  if redis.call("SCARD", userKey) == 0 and redis.call("SREM", KEYS[2], userId) == 1 then
+    table.insert(offline, userId)
+  end
+end
+redis.call("DEL", KEYS[1])
+redis.call("SREM", KEYS[3], ARGV[1])
+return { #entries, offline }
+`;
+
+// Count a hit and start the window's expiry on the first one
+const INCREMENT_SCRIPT = `
+local count = redis.call("INCR", KEYS[1])
+if count == 1 then
+  redis.call("PEXPIRE", KEYS[1], ARGV[1])
+end
+return { count, redis.call("PTTL", KEYS[1]) }
+`;
+
+// Accepts any ioredis-compatible client, so a local Redis (or stand-in) works for testing
+module.exports = (client) => {
+  client.defineCommand("presenceAddSocket", { numberOfKeys: 3, lua: ADD_SOCKET_SCRIPT });
+  client.defineCommand("presenceRemoveSocket", { numberOfKeys: 3, lua: REMOVE_SOCKET_SCRIPT });
+  client.defineCommand("presenceReapInstance", { numberOfKeys: 3, lua: REAP_INSTANCE_SCRIPT });
+  client.defineCommand("rateIncrement", { numberOfKeys: 1, lua: INCREMENT_SCRIPT });
+
+  const instanceId = crypto.randomUUID();
+  const offlineListeners = [];
+
+  // Refresh this instance's heartbeat, then clean up after instances whose heartbeat expired
+  const heartbeat = async () => {
+    await client.set(instanceAliveKey(instanceId), "1", "PX", INSTANCE_TTL_MS);
+    await client.sadd(INSTANCES_KEY, instanceId);
+
+    for (const otherId of await client.smembers(INSTANCES_KEY)) {
+      if (otherId === instanceId || (await client.exists(instanceAliveKey(otherId)))) continue;
+      const [removed, offlineUserIds] = await client.presenceReapInstance(
+        instanceSocketsKey(otherId), ONLINE_USERS_KEY, INSTANCES_KEY, otherId
+      );
+      console.log(`🧹 Removed ${removed} stale socket(s) of stopped instance ${otherId}`);
+      if (offlineUserIds.length > 0) {
+        for (const listener of offlineListeners) await listener(offlineUserIds);
+      }
+    }
+  };
+
+  const runHeartbeat = () => heartbeat().catch(err => console.error("Presence heartbeat error:", err));
+  runHeartbeat();
+  setInterval(runHeartbeat, HEARTBEAT_INTERVAL_MS).unref();
+
+  return {
+    // Route io.to(...).emit(), socketsJoin() and socketsLeave() through Redis pub/sub
+    attachAdapter(io) {
+      const subClient = client.duplicate();
+      io.adapter(createAdapter(client, subClient));
+    },
+
+    async addSocket(userId, socketId) {
+      return client.presenceAddSocket(
+        userSocketsKey(userId), ONLINE_USERS_KEY, instanceSocketsKey(instanceId), socketId, userId
+      );
+    },
+
+    async removeSocket(userId, socketId) {
+      return client.presenceRemoveSocket(
+        userSocketsKey(userId), ONLINE_USERS_KEY, instanceSocketsKey(instanceId), socketId, userId
+      );
+    },
+
+    async isOnline(userId) {
+      return (await client.sismember(ONLINE_USERS_KEY, userId.toString())) === 1;
+    },
+
+    async getOnlineUserIds() {
+      return client.smembers(ONLINE_USERS_KEY);
+    },
+
+    // Called with the ids of users who went offline because their instance died
+    onUsersOffline(listener) {
+      offlineListeners.push(listener);
+    },
+
+    async setIfAbsent(key, ttlMs) {
+      return (await client.set(`dedupe:${key}`, "1", "PX", ttlMs, "NX")) === "OK";
+    },
+
+    async cacheGet(key) {
+      const value = await client.get(`cache:${key}`);
+      return value === null ? null : JSON.parse(value);
+    },
+
+    async cacheSet(key, value, ttlMs) {
+      await client.set(`cache:${key}`, JSON.stringify(value), "PX", ttlMs);
+    },
+
+    async cacheDel(key) {
+      await client.del(`cache:${key}`);
+    },
+
+    async increment(key, windowMs) {
+      const [count, resetMs] = await client.rateIncrement(`rate:${key}`, windowMs);
+      return { count, resetMs: Math.max(resetMs, 0) };
+    },
+
+    async resetCounter(key) {
+      await client.del(`rate:${key}`);
+    },
+  };
+};
@@ -0,0 +1,31 @@
+// Shared helpers for middleware tests
+
+// Minimal Express response that records what was sent
+const mockResponse = () => ({
+  statusCode: 200,
+  headers: {},
+  body: undefined,
+  set(name, value) {
+    this.headers[name] = value;
+  },
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  },
+});
+
+// Run a middleware with a request built from `req` - resolves to { res, nextCalled }
+const run = async (middleware, req) => {
+  const res = mockResponse();
+  let nextCalled = false;
+  await middleware({ params: {}, query: {}, body: {}, ...req }, res, () => {
+    nextCalled = true;
+  });
+  return { res, nextCalled };
+};
+
+module.exports = { mockResponse, run };
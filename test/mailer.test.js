@@ -0,0 +1,30 @@
+// Mail transports (mailer/)
+const { describe, it, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const createFileTransport = require("../mailer/file.transport");
+
+describe("file transport", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "mailer-test-"));
+  after(() => fs.promises.rm(dir, { recursive: true, force: true }));
+
+  it("writes each mail as a JSON file", async () => {
+    const transport = createFileTransport({ dir, from: "noreply@example.com" });
+    await transport.send({ to: "ann@example.com", subject: "Reset", text: "Your link" });
+    await transport.send({ to: "bob@example.com", subject: "Verify", text: "Your code" });
+
+    const files = await fs.promises.readdir(dir);
+    assert.equal(files.length, 2);
+
+    const mails = await Promise.all(
+      files.map(async (file) => JSON.parse(await fs.promises.readFile(path.join(dir, file), "utf8")))
+    );
+    const reset = mails.find((mail) => mail.to === "ann@example.com");
+    assert.equal(reset.from, "noreply@example.com");
+    assert.equal(reset.subject, "Reset");
+    assert.equal(reset.text, "Your link");
+    assert.ok(reset.sentAt);
+  });
+});
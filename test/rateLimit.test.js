@@ -0,0 +1,129 @@
+// Rate limits and login lockout (utils/rateLimit.js, middleware/rateLimit.middleware.js)
+// Small limits through the env overrides - set before the modules read them
+process.env.RATE_LIMIT_SIGNUP_IP = "2/60";
+process.env.RATE_LIMIT_SEND_MESSAGE_USER = "1/60";
+process.env.RATE_LIMIT_SOCKET_TYPING = "2/10";
+process.env.LOGIN_LOCKOUT_THRESHOLD = "3";
+process.env.LOGIN_ACCOUNT_LOCKOUT_THRESHOLD = "5";
+delete process.env.REDIS_URL; // Always the in-process store
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const store = require("../store");
+const { rateLimit } = require("../middleware/rateLimit.middleware");
+const {
+  checkSocketEventLimit,
+  getLoginLockout,
+  recordLoginFailure,
+  clearLoginFailures,
+  resetLoginLockouts,
+} = require("../utils/rateLimit");
+const { run: runMiddleware } = require("./helpers");
+
+const run = (action, req) => runMiddleware(rateLimit(action), req);
+
+describe("rateLimit middleware", () => {
+  it("answers 429 with Retry-After once an IP is over the limit", async () => {
+    assert.equal((await run("signup", { ip: "10.0.0.1" })).nextCalled, true);
+    assert.equal((await run("signup", { ip: "10.0.0.1" })).nextCalled, true);
+
+    const { res, nextCalled } = await run("signup", { ip: "10.0.0.1" });
+    assert.equal(nextCalled, false);
+    assert.equal(res.statusCode, 429);
+    assert.ok(Number(res.headers["Retry-After"]) > 0);
+    assert.equal(res.body.retryAfter, Number(res.headers["Retry-After"]));
+
+    // Other IPs have their own budget
+    assert.equal((await run("signup", { ip: "10.0.0.2" })).nextCalled, true);
+  });
+
+  it("limits authenticated users across IPs", async () => {
+    const user = { userId: "user-1" };
+    assert.equal((await run("sendMessage", { ip: "10.0.1.1", user })).nextCalled, true);
+    assert.equal((await run("sendMessage", { ip: "10.0.1.2", user })).res.statusCode, 429);
+    assert.equal((await run("sendMessage", { ip: "10.0.1.2", user: { userId: "user-2" } })).nextCalled, true);
+  });
+
+  it("limits mails to one address across IPs", async () => {
+    const body = { email: " Inbox@example.com" };
+    for (let i = 1; i <= 3; i++) {
+      assert.equal((await run("forgotPassword", { ip: `10.0.6.${i}`, body })).nextCalled, true);
+    }
+    assert.equal((await run("forgotPassword", { ip: "10.0.6.9", body: { email: "inbox@example.com" } })).res.statusCode, 429);
+    assert.equal((await run("forgotPassword", { ip: "10.0.6.9", body: { email: "other@example.com" } })).nextCalled, true);
+  });
+
+  it("lets requests through when the store fails", async () => {
+    const increment = store.increment;
+    store.increment = async () => {
+      throw new Error("store down");
+    };
+    const consoleError = console.error;
+    console.error = () => {};
+    try {
+      assert.equal((await run("signup", { ip: "10.0.0.1" })).nextCalled, true);
+    } finally {
+      store.increment = increment;
+      console.error = consoleError;
+    }
+  });
+});
+
+describe("login lockout", () => {
+  it("locks an email from one IP with growing lockouts", async () => {
+    const email = "lock@example.com";
+    assert.equal(await recordLoginFailure(email, "10.0.2.1"), 0);
+    assert.equal(await recordLoginFailure(email, "10.0.2.1"), 0);
+    const first = await recordLoginFailure(email, "10.0.2.1");
+    const second = await recordLoginFailure(email, "10.0.2.1");
+
+    assert.ok(first > 0);
+    assert.equal(second, first * 2);
+    assert.ok((await getLoginLockout(" LOCK@example.com", "10.0.2.1")) > 0);
+
+    // The account owner elsewhere isn't affected
+    assert.equal(await getLoginLockout(email, "10.0.2.2"), 0);
+  });
+
+  it("locks the whole account when failures come from many IPs", async () => {
+    const email = "spread@example.com";
+    for (let i = 1; i <= 4; i++) {
+      assert.equal(await recordLoginFailure(email, `10.0.5.${i}`), 0);
+    }
+    assert.ok((await recordLoginFailure(email, "10.0.5.5")) > 0);
+    assert.ok((await getLoginLockout(email, "10.0.5.99")) > 0);
+  });
+
+  it("clears the lockout after a successful login", async () => {
+    const email = "clear@example.com";
+    for (let i = 0; i < 3; i++) await recordLoginFailure(email, "10.0.3.1");
+    assert.ok((await getLoginLockout(email, "10.0.3.1")) > 0);
+
+    await clearLoginFailures(email, "10.0.3.1");
+    assert.equal(await getLoginLockout(email, "10.0.3.1"), 0);
+    assert.equal(await recordLoginFailure(email, "10.0.3.1"), 0);
+  });
+
+  it("lifts lockouts from every IP after a password reset", async () => {
+    const email = "reset@example.com";
+    for (let i = 0; i < 3; i++) {
+      await recordLoginFailure(email, "10.0.4.1");
+      await recordLoginFailure(email, "10.0.4.2");
+    }
+
+    await resetLoginLockouts(email);
+    assert.equal(await getLoginLockout(email, "10.0.4.1"), 0);
+    assert.equal(await getLoginLockout(email, "10.0.4.2"), 0);
+  });
+});
+
+describe("socket event limits", () => {
+  it("limits each socket and event bucket separately", async () => {
+    assert.equal(await checkSocketEventLimit("socket-1", "typing"), 0);
+    assert.equal(await checkSocketEventLimit("socket-1", "typing"), 0);
+    assert.ok((await checkSocketEventLimit("socket-1", "typing")) > 0);
+
+    assert.equal(await checkSocketEventLimit("socket-2", "typing"), 0);
+    assert.equal(await checkSocketEventLimit("socket-1", "sendMessage"), 0);
+  });
+});
@@ -0,0 +1,31 @@
+// Reaction summaries (utils/reactions.js)
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { summarizeReactions, withReactionSummary } = require("../utils/reactions");
+
+const reactions = [
+  { userId: "ann", emoji: "👍" },
+  { userId: "bob", emoji: "👍" },
+  { userId: "bob", emoji: "🎉" },
+];
+
+describe("summarizeReactions", () => {
+  it("counts each emoji in first-used order", () => {
+    assert.deepEqual(summarizeReactions(reactions), [
+      { emoji: "👍", count: 2 },
+      { emoji: "🎉", count: 1 },
+    ]);
+  });
+
+  it("flags the viewer's own reactions", () => {
+    assert.deepEqual(summarizeReactions(reactions, "ann"), [
+      { emoji: "👍", count: 2, reactedByMe: true },
+      { emoji: "🎉", count: 1, reactedByMe: false },
+    ]);
+  });
+
+  it("handles messages without reactions", () => {
+    assert.deepEqual(summarizeReactions(undefined, "ann"), []);
+    assert.deepEqual(withReactionSummary([{ _id: "m1" }], "ann"), [{ _id: "m1", reactions: [] }]);
+  });
+});
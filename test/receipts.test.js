@@ -0,0 +1,35 @@
+// Group message status from receipts (utils/receipts.js)
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { groupMessageStatus } = require("../utils/receipts");
+
+const receipt = (userId) => ({ userId, at: new Date() });
+
+describe("groupMessageStatus", () => {
+  const members = ["sender", "ann", "bob"];
+
+  it("stays sent until every other member has the message", () => {
+    const message = { senderId: "sender", deliveredTo: [receipt("ann")], readBy: [] };
+    assert.equal(groupMessageStatus(message, members), "sent");
+  });
+
+  it("counts readers as having received it", () => {
+    const message = { senderId: "sender", deliveredTo: [receipt("ann")], readBy: [receipt("bob")] };
+    assert.equal(groupMessageStatus(message, members), "delivered");
+  });
+
+  it("is read once everyone but the sender has read it", () => {
+    const message = { senderId: "sender", deliveredTo: [], readBy: [receipt("ann"), receipt("bob")] };
+    assert.equal(groupMessageStatus(message, members), "read");
+  });
+
+  it("ignores receipts from people who are no longer members", () => {
+    const message = { senderId: "sender", readBy: [receipt("ann"), receipt("former")] };
+    assert.equal(groupMessageStatus(message, ["sender", "ann"]), "read");
+  });
+
+  it("keeps the stored status when the sender is alone in the group", () => {
+    assert.equal(groupMessageStatus({ senderId: "sender", status: "delivered" }, ["sender"]), "delivered");
+    assert.equal(groupMessageStatus({ senderId: "sender" }, ["sender"]), "sent");
+  });
+});
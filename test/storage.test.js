@@ -0,0 +1,183 @@
+// Storage contract (storage/) - local disk, the S3 driver against a minimal in-process
+// S3 stand-in, and a real S3-compatible server (e.g. MinIO) when TEST_S3_ENDPOINT is set
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const http = require("http");
+const crypto = require("crypto");
+const createLocalStorage = require("../storage/local.storage");
+const createS3Storage = require("../storage/s3.storage");
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "storage-test-"));
+after(() => fs.promises.rm(tmpDir, { recursive: true, force: true }));
+
+// Write a file to hand to put(), like multer's staging directory
+const stageFile = async (content) => {
+  const filePath = path.join(tmpDir, `staged-${crypto.randomBytes(6).toString("hex")}`);
+  await fs.promises.writeFile(filePath, content);
+  return filePath;
+};
+
+// Decode an aws-chunked upload body ("<hex size>\r\n<data>\r\n ... 0\r\n<trailers>")
+const decodeAwsChunked = (body) => {
+  const chunks = [];
+  let offset = 0;
+  for (;;) {
+    const lineEnd = body.indexOf("\r\n", offset);
+    const size = parseInt(body.subarray(offset, lineEnd).toString().split(";")[0], 16);
+    if (!size) break;
+    chunks.push(body.subarray(lineEnd + 2, lineEnd + 2 + size));
+    offset = lineEnd + 2 + size + 2;
+  }
+  return Buffer.concat(chunks);
+};
+
+// Just enough of the S3 API for put/remove/presigned GET (path-style, no auth checks)
+const startS3StandIn = () =>
+  new Promise((resolve) => {
+    const objects = new Map();
+    const server = http.createServer((req, res) => {
+      const objectPath = decodeURIComponent(new URL(req.url, "http://localhost").pathname);
+      const body = [];
+      req.on("data", (chunk) => body.push(chunk));
+      req.on("end", () => {
+        if (req.method === "PUT") {
+          const data = Buffer.concat(body);
+          const chunked = (req.headers["content-encoding"] || "").includes("aws-chunked");
+          objects.set(objectPath, chunked ? decodeAwsChunked(data) : data);
+          res.writeHead(200, { ETag: '"stand-in"' });
+          return res.end();
+        }
+        if (req.method === "DELETE") {
+          objects.delete(objectPath);
+          res.writeHead(204);
+          return res.end();
+        }
+        if (req.method === "GET" && objects.has(objectPath)) {
+          res.writeHead(200);
+          return res.end(objects.get(objectPath));
+        }
+        res.writeHead(404, { "Content-Type": "application/xml" });
+        res.end("<Error><Code>NoSuchKey</Code></Error>");
+      });
+    });
+    server.listen(0, "127.0.0.1", () => resolve(server));
+  });
+
+// Read an object back through a presigned URL - null when it doesn't exist
+const readSignedUrl = (storage) => async (key) => {
+  const res = await fetch(await storage.getSignedUrl(key, 60));
+  return res.ok ? Buffer.from(await res.arrayBuffer()) : null;
+};
+
+// setup() resolves to { storage, read(key) }
+const storageContract = (setup) => {
+  let storage;
+  let read;
+  before(async () => {
+    ({ storage, read } = await setup());
+  });
+
+  it("moves a staged file into storage", async () => {
+    const key = `attachments/${crypto.randomBytes(6).toString("hex")}.txt`;
+    const staged = await stageFile("hello storage");
+
+    await storage.put(key, staged, "text/plain");
+    assert.equal((await read(key)).toString(), "hello storage");
+    assert.equal(fs.existsSync(staged), false);
+  });
+
+  it("removes stored files and ignores missing ones", async () => {
+    const key = `groups/${crypto.randomBytes(6).toString("hex")}.png`;
+    await storage.put(key, await stageFile("icon"), "image/png");
+
+    await storage.remove(key);
+    assert.equal(await read(key), null);
+    await storage.remove(key);
+  });
+
+  it("maps public URLs back to their keys", () => {
+    const key = "profiles/avatar.webp";
+    assert.equal(storage.keyFromUrl(storage.publicUrl(key)), key);
+    assert.equal(storage.keyFromUrl("https://elsewhere.example/profiles/avatar.webp"), null);
+    assert.equal(storage.keyFromUrl(""), null);
+  });
+
+  it("signs download URLs for a key", async () => {
+    const url = await storage.getSignedUrl("attachments/report.pdf", 60, "report.pdf");
+    assert.ok(url.includes("attachments/report.pdf"));
+  });
+};
+
+describe("local storage", () => {
+  const options = {
+    publicDir: path.join(tmpDir, "uploads"),
+    privateDir: path.join(tmpDir, "attachments"),
+    signingSecret: "test-secret",
+  };
+  const storage = createLocalStorage(options);
+
+  storageContract(async () => ({
+    storage,
+    read: async (key) => {
+      try {
+        return await fs.promises.readFile(storage.resolvePath(key));
+      } catch (err) {
+        if (err.code === "ENOENT") return null;
+        throw err;
+      }
+    },
+  }));
+
+  it("keeps private files out of the public directory", () => {
+    assert.ok(storage.resolvePath("attachments/a.txt").startsWith(options.privateDir + path.sep));
+    assert.ok(storage.resolvePath("profiles/a.png").startsWith(options.publicDir + path.sep));
+  });
+
+  it("rejects keys that escape the storage directories", () => {
+    assert.throws(() => storage.resolvePath("../secret.txt"), /Invalid storage key/);
+    assert.throws(() => storage.resolvePath("attachments/../../secret.txt"), /Invalid storage key/);
+  });
+
+  it("only accepts untampered, unexpired signatures", async () => {
+    const url = new URL(await storage.getSignedUrl("attachments/a.txt", 60, "a.txt"), "http://localhost");
+    const { expires, name, signature } = Object.fromEntries(url.searchParams);
+
+    assert.equal(storage.verifySignature("attachments/a.txt", expires, name, signature), true);
+    assert.equal(storage.verifySignature("attachments/b.txt", expires, name, signature), false);
+    assert.equal(storage.verifySignature("attachments/a.txt", expires, "other.txt", signature), false);
+    assert.equal(storage.verifySignature("attachments/a.txt", "1", name, signature), false);
+  });
+});
+
+describe("s3 storage (stand-in server)", () => {
+  let server;
+  after(() => server && server.close());
+
+  storageContract(async () => {
+    server = await startS3StandIn();
+    const storage = createS3Storage({
+      bucket: "test-bucket",
+      region: "us-east-1",
+      endpoint: `http://127.0.0.1:${server.address().port}`,
+      accessKeyId: "test",
+      secretAccessKey: "test",
+    });
+    return { storage, read: readSignedUrl(storage) };
+  });
+});
+
+describe("s3 storage (TEST_S3_ENDPOINT)", { skip: !process.env.TEST_S3_ENDPOINT && "TEST_S3_ENDPOINT not set" }, () => {
+  storageContract(async () => {
+    const storage = createS3Storage({
+      bucket: process.env.TEST_S3_BUCKET || "test",
+      region: process.env.TEST_S3_REGION || "us-east-1",
+      endpoint: process.env.TEST_S3_ENDPOINT,
+      accessKeyId: process.env.TEST_S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.TEST_S3_SECRET_ACCESS_KEY,
+    });
+    return { storage, read: readSignedUrl(storage) };
+  });
+});
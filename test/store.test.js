@@ -0,0 +1,131 @@
+// Store contract (store/) - runs against the memory store and the Redis store. The Redis
+// store uses ioredis-mock unless TEST_REDIS_URL points at a real Redis-compatible server
+const { describe, it, after } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const createMemoryStore = require("../store/memory.store");
+const createRedisStore = require("../store/redis.store");
+
+const unique = (name) => `${name}-${crypto.randomBytes(6).toString("hex")}`;
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const storeContract = (createStore) => {
+  it("tracks sockets per user and clears presence after the last one", async () => {
+    const store = createStore();
+    const userId = unique("user");
+
+    assert.equal(await store.addSocket(userId, "s1"), 1);
+    assert.equal(await store.addSocket(userId, "s2"), 2);
+    assert.equal(await store.isOnline(userId), true);
+    assert.ok((await store.getOnlineUserIds()).includes(userId));
+
+    assert.equal(await store.removeSocket(userId, "s1"), 1);
+    assert.equal(await store.isOnline(userId), true);
+    assert.equal(await store.removeSocket(userId, "s2"), 0);
+    assert.equal(await store.isOnline(userId), false);
+  });
+
+  it("only sets a dedupe key once until it expires", async () => {
+    const store = createStore();
+    const key = unique("dedupe");
+
+    assert.equal(await store.setIfAbsent(key, 50), true);
+    assert.equal(await store.setIfAbsent(key, 50), false);
+    await sleep(80);
+    assert.equal(await store.setIfAbsent(key, 50), true);
+  });
+
+  it("caches JSON values until they expire or are deleted", async () => {
+    const store = createStore();
+    const key = unique("cache");
+
+    assert.equal(await store.cacheGet(key), null);
+    await store.cacheSet(key, { members: ["a"] }, 50);
+    assert.deepEqual(await store.cacheGet(key), { members: ["a"] });
+    await store.cacheDel(key);
+    assert.equal(await store.cacheGet(key), null);
+
+    await store.cacheSet(key, 1, 30);
+    await sleep(60);
+    assert.equal(await store.cacheGet(key), null);
+  });
+
+  it("counts hits in a fixed window", async () => {
+    const store = createStore();
+    const key = unique("counter");
+
+    const first = await store.increment(key, 1000);
+    assert.equal(first.count, 1);
+    assert.ok(first.resetMs > 0 && first.resetMs <= 1000);
+    assert.equal((await store.increment(key, 1000)).count, 2);
+
+    await store.resetCounter(key);
+    assert.equal((await store.increment(key, 50)).count, 1);
+    await sleep(80);
+    assert.equal((await store.increment(key, 50)).count, 1);
+  });
+};
+
+describe("memory store", () => {
+  storeContract(createMemoryStore);
+});
+
+describe("redis store", () => {
+  const Redis = process.env.TEST_REDIS_URL ? require("ioredis") : require("ioredis-mock");
+  const clients = [];
+  const connect = () => {
+    const client = new Redis(process.env.TEST_REDIS_URL);
+    clients.push(client);
+    return client;
+  };
+
+  after(() => Promise.all(clients.map((client) => client.quit())));
+
+  storeContract(() => createRedisStore(connect()));
+
+  it("removes the sockets of an instance whose heartbeat expired", async () => {
+    const client = connect();
+    const crashed = createRedisStore(client);
+    const userId = unique("user");
+    await sleep(50); // First heartbeat
+    await crashed.addSocket(userId, "s1");
+
+    // Simulate a crash - the instance's heartbeat key expires
+    const instances = await client.smembers("presence:instances");
+    for (const instanceId of instances) {
+      if (await client.sismember(`presence:instance:${instanceId}`, `${userId}:s1`)) {
+        await client.del(`presence:instance:${instanceId}:alive`);
+      }
+    }
+
+    const survivor = createRedisStore(connect());
+    const wentOffline = new Promise((resolve) => survivor.onUsersOffline(resolve));
+    await sleep(100); // Its first heartbeat reaps the crashed instance
+    assert.equal(await survivor.isOnline(userId), false);
+    assert.ok((await wentOffline).includes(userId));
+  });
+
+  it("only reports users who have no sockets left on other instances", async () => {
+    const client = connect();
+    const crashed = createRedisStore(client);
+    const alive = createRedisStore(connect());
+    const userId = unique("user");
+    await sleep(50);
+    await crashed.addSocket(userId, "s1");
+    await alive.addSocket(userId, "s2");
+
+    const instances = await client.smembers("presence:instances");
+    for (const instanceId of instances) {
+      if (await client.sismember(`presence:instance:${instanceId}`, `${userId}:s1`)) {
+        await client.del(`presence:instance:${instanceId}:alive`);
+      }
+    }
+
+    const reported = [];
+    const survivor = createRedisStore(connect());
+    survivor.onUsersOffline((userIds) => reported.push(...userIds));
+    await sleep(100);
+    assert.equal(await survivor.isOnline(userId), true);
+    assert.equal(reported.includes(userId), false);
+  });
+});
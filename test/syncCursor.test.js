@@ -0,0 +1,114 @@
+// Offline sync cursors (utils/syncCursor.js)
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { parseSince, encodeCursor, changedAfter, cutPage } = require("../utils/syncCursor");
+
+const id = (n) => n.toString(16).padStart(24, "0");
+const at = (ms) => new Date(ms);
+const doc = (n, ms) => ({ _id: id(n), updatedAt: at(ms) });
+
+describe("parseSince", () => {
+  it("reads cursors from a previous sync", () => {
+    assert.deepEqual(parseSince(encodeCursor(at(1000), id(1), id(2))), {
+      time: at(1000),
+      lastId: id(1),
+      lastUserId: id(2),
+    });
+  });
+
+  it("reads cursors from before users were paged (message id only)", () => {
+    const legacy = Buffer.from(`1000:${id(1)}`).toString("base64url");
+    assert.deepEqual(parseSince(legacy), { time: at(1000), lastId: id(1), lastUserId: null });
+  });
+
+  it("accepts ISO dates and epoch millis", () => {
+    assert.deepEqual(parseSince("2024-05-01T10:00:00.000Z"), {
+      time: new Date("2024-05-01T10:00:00.000Z"),
+      lastId: null,
+      lastUserId: null,
+    });
+    assert.deepEqual(parseSince("1714557600000"), { time: at(1714557600000), lastId: null, lastUserId: null });
+  });
+
+  it("rejects garbage", () => {
+    assert.equal(parseSince(""), null);
+    assert.equal(parseSince("yesterday"), null);
+    assert.equal(parseSince(Buffer.from("1000:not-an-id").toString("base64url")), null);
+  });
+});
+
+describe("changedAfter", () => {
+  it("breaks updatedAt ties by id once there is one", () => {
+    assert.deepEqual(changedAfter(at(1000), null), { updatedAt: { $gt: at(1000) } });
+    assert.deepEqual(changedAfter(at(1000), id(5)), {
+      $or: [{ updatedAt: { $gt: at(1000) } }, { updatedAt: at(1000), _id: { $gt: id(5) } }],
+    });
+  });
+});
+
+describe("cutPage", () => {
+  const since = { time: at(0), lastId: null, lastUserId: null };
+  const syncStartedAt = at(9000);
+
+  it("returns everything with a cursor at the sync start when nothing was truncated", () => {
+    const page = cutPage({
+      cursor: since,
+      messages: [doc(1, 100)],
+      users: [doc(2, 200)],
+      messageLimit: 2,
+      userLimit: 2,
+      syncStartedAt,
+    });
+
+    assert.equal(page.hasMore, false);
+    assert.equal(page.messages.length, 1);
+    assert.equal(page.users.length, 1);
+    assert.deepEqual(parseSince(page.cursor).time, syncStartedAt);
+  });
+
+  it("ends the page where messages and users tie on updatedAt", () => {
+    const page = cutPage({
+      cursor: since,
+      messages: [doc(1, 100), doc(2, 200), doc(3, 200)],
+      users: [doc(10, 200), doc(11, 200), doc(12, 300)],
+      messageLimit: 2,
+      userLimit: 2,
+      syncStartedAt,
+    });
+
+    assert.equal(page.hasMore, true);
+    assert.deepEqual(page.messages.map((m) => m._id), [id(1), id(2)]);
+    assert.deepEqual(page.users.map((u) => u._id), [id(10), id(11)]);
+    // The next page resumes after the last message and user sent at the boundary
+    assert.deepEqual(parseSince(page.cursor), { time: at(200), lastId: id(2), lastUserId: id(11) });
+  });
+
+  it("holds back the other list's later items at the earlier boundary", () => {
+    const page = cutPage({
+      cursor: since,
+      messages: [doc(1, 100), doc(2, 150), doc(3, 400)],
+      users: [doc(10, 50), doc(11, 300)],
+      messageLimit: 2,
+      userLimit: 5,
+      syncStartedAt,
+    });
+
+    assert.deepEqual(page.users.map((u) => u._id), [id(10)]);
+    // No user was sent at the boundary, so every user updated then is still due
+    assert.deepEqual(parseSince(page.cursor), { time: at(150), lastId: id(2), lastUserId: "0".repeat(24) });
+  });
+
+  it("keeps the previous position when a page doesn't move past the cursor time", () => {
+    const page = cutPage({
+      cursor: { time: at(200), lastId: id(4), lastUserId: id(20) },
+      messages: [doc(5, 200), doc(6, 200), doc(7, 200)],
+      users: [doc(30, 500)],
+      messageLimit: 2,
+      userLimit: 2,
+      syncStartedAt,
+    });
+
+    assert.deepEqual(page.users, []);
+    assert.deepEqual(parseSince(page.cursor), { time: at(200), lastId: id(6), lastUserId: id(20) });
+  });
+});
@@ -0,0 +1,115 @@
+// Request and socket payload validation (middleware/validate.middleware.js, validation/)
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { validate, validateEvent } = require("../middleware/validate.middleware");
+const groupSchemas = require("../validation/group.schemas");
+const authSchemas = require("../validation/auth.schemas");
+const socketSchemas = require("../validation/socket.schemas");
+const { mockResponse, run } = require("./helpers");
+
+const ID = "a".repeat(24);
+
+describe("validate", () => {
+  it("rejects malformed ids with field paths", async () => {
+    const { res, nextCalled } = await run(validate(groupSchemas.createGroup), {
+      body: { name: "Team", members: ["not-an-id", ID] },
+    });
+
+    assert.equal(nextCalled, false);
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.message, "Validation failed");
+    assert.deepEqual(res.body.errors, [{ path: "body.members.0", message: "Invalid id" }]);
+  });
+
+  it("reports every failing field", async () => {
+    const { res } = await run(validate(authSchemas.signup), {
+      body: { name: "Ann", email: "nope", password: "short" },
+    });
+
+    const paths = res.body.errors.map((e) => e.path);
+    assert.ok(paths.includes("body.email"));
+    assert.ok(paths.includes("body.password"));
+  });
+
+  it("replaces the body with the parsed values", () => {
+    const req = { params: {}, query: {}, body: { groupId: ID, removeIcon: "true", unknown: 1 } };
+    let nextCalled = false;
+    validate(groupSchemas.updateGroup)(req, mockResponse(), () => {
+      nextCalled = true;
+    });
+
+    assert.equal(nextCalled, true);
+    assert.deepEqual(req.body, { groupId: ID, removeIcon: true });
+  });
+
+  it("validates route params", async () => {
+    const { res } = await run(validate(groupSchemas.groupOnly), { params: { groupId: "123" } });
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.errors[0].path, "params.groupId");
+  });
+});
+
+describe("validateEvent", () => {
+  const mockSocket = () => ({
+    emitted: [],
+    emit(event, payload) {
+      this.emitted.push([event, payload]);
+    },
+  });
+
+  it("calls the handler with the parsed payload", () => {
+    let received;
+    const handler = validateEvent(mockSocket(), "typing", socketSchemas.typing, (data) => {
+      received = data;
+    });
+
+    handler({ receiverId: ID, isTyping: true });
+    assert.deepEqual(received, { receiverId: ID, isTyping: true });
+  });
+
+  it("answers through the ack when there is one", () => {
+    let ackPayload;
+    const handler = validateEvent(mockSocket(), "resume", socketSchemas.resume, () => {
+      assert.fail("handler should not run");
+    });
+
+    handler({}, (payload) => {
+      ackPayload = payload;
+    });
+    assert.equal(ackPayload.error.message, "Validation failed");
+    assert.equal(ackPayload.error.errors[0].path, "payload.since");
+  });
+
+  it("emits validationError without an ack", () => {
+    const socket = mockSocket();
+    validateEvent(socket, "typing", socketSchemas.typing, () => {
+      assert.fail("handler should not run");
+    })({ receiverId: "bad" });
+
+    const [[event, payload]] = socket.emitted;
+    assert.equal(event, "validationError");
+    assert.equal(payload.event, "typing");
+  });
+
+  it("drops client-supplied identity from relayed messages", () => {
+    const other = "b".repeat(24);
+    const direct = socketSchemas.sendMessage.safeParse({
+      _id: other,
+      receiverId: ID,
+      senderId: other,
+      message: "hi",
+      createdAt: new Date().toISOString(),
+    });
+    assert.equal(direct.success, true);
+    assert.deepEqual(direct.data, { receiverId: ID, message: "hi" });
+
+    const group = socketSchemas.sendGroupMessage.safeParse({
+      groupId: ID,
+      senderId: other,
+      message: "hi",
+      groupMembers: [ID, other],
+    });
+    assert.equal(group.success, true);
+    assert.deepEqual(group.data, { groupId: ID, message: "hi" });
+  });
+});
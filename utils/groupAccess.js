@@ -0,0 +1,49 @@
+const mongoose = require("mongoose");
+const Group = require("../models/Group");
+const store = require("../store");
+const httpError = require("./httpError");
+
+// Membership is cached in the shared store, so checking it on every send stays cheap
+// Group saves drop the entry (see models/Group.js); the TTL is only a safety net
+const ACCESS_CACHE_TTL_MS = (parseInt(process.env.GROUP_ACCESS_CACHE_SECONDS) || 60) * 1000;
+
+const accessKey = (groupId) => `groupAccess:${groupId}`;
+
+// Who can do what in a group: { members, admins, createdBy, archived, settings } (ids as strings)
+// Returns null for missing (or deleted) groups and malformed ids
+exports.getGroupAccess = async (groupId) => {
+  if (!mongoose.isValidObjectId(groupId)) return null;
+
+  const cached = await store.cacheGet(accessKey(groupId));
+  if (cached) return cached;
+
+  const group = await Group.findById(groupId)
+    .select("members admins createdBy archivedAt settings")
+    .lean();
+  if (!group) return null;
+
+  const access = {
+    members: group.members.map((m) => m.toString()),
+    admins: group.admins.map((a) => a.toString()),
+    createdBy: group.createdBy.toString(),
+    archived: Boolean(group.archivedAt),
+    settings: group.settings || {},
+  };
+  await store.cacheSet(accessKey(groupId), access, ACCESS_CACHE_TTL_MS);
+  return access;
+};
+
+// Throws 404 for unknown groups and 403 for non-members, otherwise returns the access info
+exports.requireGroupMember = async (groupId, userId) => {
+  const access = await exports.getGroupAccess(groupId);
+  if (!access) throw httpError(404, "Group not found");
+  if (!access.members.includes(userId.toString())) {
+    throw httpError(403, "You are not a member of this group");
+  }
+  return access;
+};
+
+// Drop the cached entry after membership, roles or settings change
+exports.invalidateGroupAccess = (groupId) =>
+  store.cacheDel(accessKey(groupId))
+    .catch(err => console.error("Error invalidating group access cache:", err));
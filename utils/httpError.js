@@ -0,0 +1,6 @@
+// Error carrying an HTTP status - controllers return err.status with err.message
+module.exports = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
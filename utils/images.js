@@ -0,0 +1,78 @@
+const fs = require("fs");
+const path = require("path");
+const sharp = require("sharp");
+const httpError = require("./httpError");
+const storage = require("../storage");
+
+// Formats we accept, detected from the file bytes (not the client mimetype)
+const ALLOWED_FORMATS = { jpeg: "jpg", png: "png", gif: "gif", webp: "webp" };
+
+// Resized variants written next to the original (longest side in px)
+const VARIANT_SIZES = { thumbnail: 150, medium: 600 };
+
+// Validate an uploaded image, strip its metadata and generate variants
+// Returns { fileName, mimeType, width, height, variants: { thumbnail, medium }, placeholder }
+exports.processImage = async (filePath) => {
+  let metadata;
+  try {
+    metadata = await sharp(filePath).metadata();
+  } catch (err) {
+    throw httpError(400, "File is not a valid image");
+  }
+  if (!ALLOWED_FORMATS[metadata.format]) {
+    throw httpError(400, "File is not a valid image");
+  }
+
+  // Re-encode without metadata - drops EXIF (including GPS) after applying its orientation
+  const animated = metadata.pages > 1;
+  const pipeline = sharp(filePath, { animated });
+  const cleaned = await (animated ? pipeline : pipeline.rotate()).toBuffer();
+
+  // Store under the extension of the real format
+  const { dir, name } = path.parse(filePath);
+  const fileName = `${name}.${ALLOWED_FORMATS[metadata.format]}`;
+  await fs.promises.writeFile(path.join(dir, fileName), cleaned);
+  if (path.join(dir, fileName) !== filePath) {
+    await fs.promises.unlink(filePath);
+  }
+
+  const variants = {};
+  for (const [variant, size] of Object.entries(VARIANT_SIZES)) {
+    variants[variant] = `${name}-${variant}.webp`;
+    await sharp(cleaned)
+      .resize(size, size, { fit: "inside", withoutEnlargement: true })
+      .webp({ quality: 80 })
+      .toFile(path.join(dir, variants[variant]));
+  }
+
+  // Tiny blurred preview clients can show inline while the real image loads
+  const placeholder = await sharp(cleaned)
+    .resize(16, 16, { fit: "inside" })
+    .blur()
+    .webp({ quality: 40 })
+    .toBuffer();
+
+  const { width, height, pageHeight } = await sharp(cleaned).metadata();
+
+  return {
+    fileName,
+    mimeType: `image/${metadata.format}`,
+    width,
+    height: pageHeight || height,
+    variants,
+    placeholder: `data:image/webp;base64,${placeholder.toString("base64")}`,
+  };
+};
+
+// Public URLs for the variants of a processed image stored under folder/
+exports.imageVariantUrls = (folder, image) => ({
+  thumbnail: storage.publicUrl(`${folder}/${image.variants.thumbnail}`),
+  medium: storage.publicUrl(`${folder}/${image.variants.medium}`),
+  placeholder: image.placeholder,
+});
+
+// Storage keys behind a stored image URL and its variant URLs (for cleanup)
+exports.imageKeysFromUrls = (url, variants = {}) =>
+  [url, variants.thumbnail, variants.medium]
+    .map((u) => storage.keyFromUrl(u))
+    .filter(Boolean);
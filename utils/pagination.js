@@ -0,0 +1,86 @@
+const Message = require("../models/Message");
+const httpError = require("./httpError");
+
+const isObjectId = (value) => /^[a-f0-9]{24}$/i.test(value);
+
+// Resolve a cursor (message id or timestamp) to a { createdAt, _id } position
+const resolveCursor = async (baseQuery, value) => {
+  if (isObjectId(value)) {
+    const message = await Message.findOne({ $and: [baseQuery, { _id: value }] })
+      .select("createdAt")
+      .lean();
+    if (!message) throw httpError(404, "Cursor message not found in this conversation");
+    return { createdAt: message.createdAt, _id: message._id };
+  }
+
+  const date = /^\d+$/.test(value) ? new Date(Number(value)) : new Date(value);
+  if (isNaN(date.getTime())) throw httpError(400, "Invalid cursor");
+  return { createdAt: date, _id: null };
+};
+
+// Messages strictly older / newer than a position (ties broken by _id)
+const olderThan = (pos) =>
+  pos._id
+    ? { $or: [{ createdAt: { $lt: pos.createdAt } }, { createdAt: pos.createdAt, _id: { $lt: pos._id } }] }
+    : { createdAt: { $lt: pos.createdAt } };
+
+const newerThan = (pos) =>
+  pos._id
+    ? { $or: [{ createdAt: { $gt: pos.createdAt } }, { createdAt: pos.createdAt, _id: { $gt: pos._id } }] }
+    : { createdAt: { $gt: pos.createdAt } };
+
+// Fetch up to `limit` messages in one direction, plus one extra to know if more exist
+const fetchPage = async (baseQuery, filter, direction, limit, prepare) => {
+  const sort = direction === "older" ? { createdAt: -1, _id: -1 } : { createdAt: 1, _id: 1 };
+  const query = filter ? { $and: [baseQuery, filter] } : baseQuery;
+
+  const messages = await prepare(Message.find(query)).sort(sort).limit(limit + 1);
+  const hasMore = messages.length > limit;
+  if (hasMore) messages.pop();
+
+  // Always return oldest first
+  if (direction === "older") messages.reverse();
+  return { messages, hasMore };
+};
+
+// Cursor-based message history
+// - before=<id|timestamp>: older messages, after=<id|timestamp>: newer messages
+// - around=<id>: a window centred on that message (jump-to-message)
+// - none: the latest messages
+// `prepare` adds populate/lean/maxTimeMS to the find query
+exports.paginateMessages = async (baseQuery, { before, after, around, limit }, prepare) => {
+  let olderPage = { messages: [], hasMore: false };
+  let newerPage = { messages: [], hasMore: false };
+  let target = [];
+
+  if (around) {
+    if (!isObjectId(around)) throw httpError(400, "Invalid message id");
+    const pos = await resolveCursor(baseQuery, around);
+    const half = Math.floor(limit / 2);
+    [olderPage, newerPage, target] = await Promise.all([
+      fetchPage(baseQuery, olderThan(pos), "older", half, prepare),
+      fetchPage(baseQuery, newerThan(pos), "newer", limit - half - 1, prepare),
+      prepare(Message.find({ _id: pos._id })),
+    ]);
+  } else if (after) {
+    const pos = await resolveCursor(baseQuery, after);
+    newerPage = await fetchPage(baseQuery, newerThan(pos), "newer", limit, prepare);
+    // When paging forward from a message, that message is older history
+    olderPage.hasMore = Boolean(pos._id);
+  } else {
+    const filter = before ? olderThan(await resolveCursor(baseQuery, before)) : null;
+    olderPage = await fetchPage(baseQuery, filter, "older", limit, prepare);
+  }
+
+  const messages = [...olderPage.messages, ...target, ...newerPage.messages];
+
+  return {
+    messages,
+    pagination: {
+      hasMore: olderPage.hasMore, // older messages exist (kept for older clients)
+      hasNewer: newerPage.hasMore,
+      before: messages.length ? messages[0]._id : null,
+      after: messages.length ? messages[messages.length - 1]._id : null,
+    },
+  };
+};
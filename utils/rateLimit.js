@@ -0,0 +1,151 @@
+const store = require("../store");
+
+// Limits are [max, windowSeconds] and can be overridden as "max/windowSeconds"
+// e.g. RATE_LIMIT_LOGIN_IP=20/900 or RATE_LIMIT_SOCKET_TYPING=20/10 (a max of 0 turns a limit off)
+const envName = (name) => name.replace(/([a-z])([A-Z])/g, "$1_$2").toUpperCase();
+
+const parseLimit = (name, [max, windowSeconds]) => {
+  const match = /^(\d+)\/(\d+)$/.exec(process.env[`RATE_LIMIT_${envName(name)}`] || "");
+  if (match) [, max, windowSeconds] = match.map(Number);
+  return { max, windowMs: windowSeconds * 1000 };
+};
+
+// Route limits per client IP and per user (for login the user is the email being tried, from any IP -
+// set well above what one IP may try, so it only bites on attempts spread across many IPs;
+// for the emailing routes it's the address being mailed, so nobody can flood one inbox)
+const ROUTE_LIMITS = {
+  login: { ip: [20, 15 * 60], user: [50, 15 * 60] },
+  signup: { ip: [5, 60 * 60] },
+  forgotPassword: { ip: [10, 60 * 60], user: [3, 60 * 60] },
+  resendVerification: { ip: [10, 60 * 60], user: [3, 60 * 60] },
+  sendMessage: { ip: [300, 60], user: [60, 60] },
+  createGroup: { ip: [30, 60 * 60], user: [10, 60 * 60] },
+};
+
+const routeLimits = Object.fromEntries(
+  Object.entries(ROUTE_LIMITS).map(([action, scopes]) => [
+    action,
+    Object.fromEntries(
+      Object.entries(scopes).map(([scope, fallback]) => [
+        scope,
+        parseLimit(`${action}_${scope}`, fallback),
+      ])
+    ),
+  ])
+);
+
+// Socket events per connected socket - anything not listed shares the default bucket
+const SOCKET_EVENT_LIMITS = {
+  typing: [20, 10],
+  groupTyping: [20, 10],
+  sendMessage: [30, 10],
+  sendGroupMessage: [30, 10],
+  messageDelivered: [120, 10],
+  messageRead: [120, 10],
+  markMessagesRead: [30, 10],
+  markGroupRead: [30, 10],
+  resume: [10, 60],
+  join: [10, 60],
+  other: [60, 10],
+};
+
+const socketLimits = Object.fromEntries(
+  Object.entries(SOCKET_EVENT_LIMITS).map(([event, fallback]) => [
+    event,
+    parseLimit(`socket_${event}`, fallback),
+  ])
+);
+
+// Progressive login lockouts - after a threshold every further failure doubles the lock
+// Failures count per email + IP, so nobody can lock a user out of their own account from elsewhere,
+// and per email alone with a much higher threshold, which catches guessing spread over many IPs
+const LOGIN_LOCKOUT_THRESHOLD = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD) || 5;
+const LOGIN_ACCOUNT_LOCKOUT_THRESHOLD = parseInt(process.env.LOGIN_ACCOUNT_LOCKOUT_THRESHOLD) || 50;
+const LOGIN_LOCKOUT_BASE_MS = (parseInt(process.env.LOGIN_LOCKOUT_BASE_SECONDS) || 30) * 1000;
+const LOGIN_LOCKOUT_MAX_MS = (parseInt(process.env.LOGIN_LOCKOUT_MAX_MINUTES) || 60) * 60 * 1000;
+const LOGIN_FAILURE_WINDOW_MS = 24 * 60 * 60 * 1000; // Failures are forgotten a day after the first
+
+const normalizeEmail = (email) => email.trim().toLowerCase();
+
+// A password reset starts a new generation, which drops the account's lockouts from every IP
+// (kept as long as the failure window, so older counters have expired when it does)
+const loginGenerationKey = (email) => `loginGeneration:${normalizeEmail(email)}`;
+
+// Lockout scopes for a login attempt: { ip: "<email>:<generation>:<ip>", account: "<email>:<generation>" }
+const loginScopes = async (email, ip) => {
+  const generation = (await store.cacheGet(loginGenerationKey(email))) || 0;
+  const account = `${normalizeEmail(email)}:${generation}`;
+  return { ip: `${account}:${ip}`, account: `account:${account}` };
+};
+
+const lockoutMs = (failures, threshold) =>
+  failures < threshold
+    ? 0
+    : Math.min(LOGIN_LOCKOUT_BASE_MS * 2 ** (failures - threshold), LOGIN_LOCKOUT_MAX_MS);
+
+const remainingSeconds = (lockedUntil) =>
+  lockedUntil && lockedUntil > Date.now() ? Math.ceil((lockedUntil - Date.now()) / 1000) : 0;
+
+// Count a hit against a limit - returns 0 when allowed, otherwise seconds until it resets
+const hit = async (key, { max, windowMs }) => {
+  if (!max) return 0;
+  const { count, resetMs } = await store.increment(key, windowMs);
+  return count > max ? Math.max(Math.ceil(resetMs / 1000), 1) : 0;
+};
+
+// Check a route action for an IP and (optional) user - returns the longest Retry-After, or 0
+exports.checkRouteLimit = async (action, { ip, user }) => {
+  const limits = routeLimits[action];
+  const checks = [];
+  if (limits.ip && ip) checks.push(hit(`${action}:ip:${ip}`, limits.ip));
+  if (limits.user && user) checks.push(hit(`${action}:user:${user}`, limits.user));
+  return Math.max(0, ...(await Promise.all(checks)));
+};
+
+// Check an incoming socket event - returns 0 when allowed, otherwise seconds to wait
+exports.checkSocketEventLimit = (socketId, event) => {
+  const bucket = socketLimits[event] ? event : "other";
+  return hit(`socket:${socketId}:${bucket}`, socketLimits[bucket]);
+};
+
+// Seconds left on a login lockout for this email and IP, or the whole account (0 when not locked)
+exports.getLoginLockout = async (email, ip) => {
+  const scopes = await loginScopes(email, ip);
+  const [ipLock, accountLock] = await Promise.all([
+    store.cacheGet(`loginLock:${scopes.ip}`),
+    store.cacheGet(`loginLock:${scopes.account}`),
+  ]);
+  return Math.max(remainingSeconds(ipLock), remainingSeconds(accountLock));
+};
+
+// Record a failed login - returns the lockout in seconds it triggered (0 below both thresholds)
+exports.recordLoginFailure = async (email, ip) => {
+  const scopes = await loginScopes(email, ip);
+  const [ipFailures, accountFailures] = await Promise.all([
+    store.increment(`loginFailures:${scopes.ip}`, LOGIN_FAILURE_WINDOW_MS),
+    store.increment(`loginFailures:${scopes.account}`, LOGIN_FAILURE_WINDOW_MS),
+  ]);
+
+  const locks = [
+    [scopes.ip, lockoutMs(ipFailures.count, LOGIN_LOCKOUT_THRESHOLD)],
+    [scopes.account, lockoutMs(accountFailures.count, LOGIN_ACCOUNT_LOCKOUT_THRESHOLD)],
+  ].filter(([, ms]) => ms > 0);
+  await Promise.all(locks.map(([scope, ms]) => store.cacheSet(`loginLock:${scope}`, Date.now() + ms, ms)));
+  return Math.ceil(Math.max(0, ...locks.map(([, ms]) => ms)) / 1000);
+};
+
+// A successful login starts both counts over
+exports.clearLoginFailures = async (email, ip) => {
+  const scopes = await loginScopes(email, ip);
+  await Promise.all(
+    [scopes.ip, scopes.account].flatMap((scope) => [
+      store.resetCounter(`loginFailures:${scope}`),
+      store.cacheDel(`loginLock:${scope}`),
+    ])
+  );
+};
+
+// Lift every lockout on an account (after a password reset)
+exports.resetLoginLockouts = async (email) => {
+  await store.cacheSet(loginGenerationKey(email), Date.now(), LOGIN_FAILURE_WINDOW_MS);
+};
@@ -0,0 +1,24 @@
+// Collapse raw { userId, emoji } reactions into per-emoji counts
+// reactedByMe is only included when a viewer is given
+const summarizeReactions = (reactions = [], viewerId) => {
+  const summary = new Map();
+  reactions.forEach((reaction) => {
+    if (!summary.has(reaction.emoji)) {
+      summary.set(reaction.emoji, viewerId
+        ? { emoji: reaction.emoji, count: 0, reactedByMe: false }
+        : { emoji: reaction.emoji, count: 0 });
+    }
+    const entry = summary.get(reaction.emoji);
+    entry.count += 1;
+    if (viewerId && reaction.userId.toString() === viewerId) {
+      entry.reactedByMe = true;
+    }
+  });
+  return Array.from(summary.values());
+};
+
+exports.summarizeReactions = summarizeReactions;
+
+// Replace raw reactions on lean messages with the viewer's summary
+exports.withReactionSummary = (messages, viewerId) =>
+  messages.map((m) => ({ ...m, reactions: summarizeReactions(m.reactions, viewerId) }));
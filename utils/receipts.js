@@ -0,0 +1,99 @@
+const Message = require("../models/Message");
+const httpError = require("./httpError");
+
+// Receipt lists and their timestamp field
+const RECEIPT_FIELDS = { deliveredTo: "deliveredAt", readBy: "readAt" };
+
+// Aggregate status of a group message for its sender: "read" once every other member
+// has read it, "delivered" once every other member has received it, otherwise "sent"
+const groupMessageStatus = (message, memberIds) => {
+  const senderId = message.senderId && message.senderId.toString();
+  const recipients = memberIds.filter((id) => id !== senderId);
+  if (recipients.length === 0) return message.status || "sent";
+
+  const everyone = (receipts) => {
+    const ids = new Set(receipts.map((r) => r.userId.toString()));
+    return recipients.every((id) => ids.has(id));
+  };
+
+  if (everyone(message.readBy || [])) return "read";
+  if (everyone([...(message.deliveredTo || []), ...(message.readBy || [])])) return "delivered";
+  return "sent";
+};
+
+exports.groupMessageStatus = groupMessageStatus;
+
+// Record that a member received ("deliveredTo") or read ("readBy") a group message
+// Returns the new aggregate status, or null when the receipt was already recorded
+exports.recordGroupReceipt = async (messageId, userId, list, memberIds) => {
+  const receipt = { userId, [RECEIPT_FIELDS[list]]: new Date() };
+  const updated = await Message.findOneAndUpdate(
+    { _id: messageId, [`${list}.userId`]: { $ne: userId } },
+    { $push: { [list]: receipt } },
+    { new: true }
+  )
+    .select("senderId deliveredTo readBy status")
+    .lean();
+  if (!updated) return null;
+
+  const status = groupMessageStatus(updated, memberIds);
+  if (status !== updated.status) {
+    await Message.updateOne({ _id: messageId }, { status }).exec();
+  }
+  return status;
+};
+
+// Aggregate statuses are only recomputed for this many of the newest newly-read messages -
+// older ones were almost always settled by earlier readers, and a first mark-read in a long
+// group must not pull its whole history into memory
+const STATUS_RECOMPUTE_LIMIT = 200;
+
+// Mark every message in a group up to (and including) upTo as read by userId
+// Returns { readAt, count, statusChanges: [{ messageId, senderId, status }] }
+exports.markGroupReadUpTo = async (groupId, userId, upTo, memberIds) => {
+  if (!/^[a-f0-9]{24}$/i.test(upTo)) {
+    throw httpError(400, "Invalid upTo message id");
+  }
+
+  const target = await Message.findOne({ _id: upTo, groupId }).select("createdAt").lean();
+  if (!target) throw httpError(404, "Message not found");
+
+  const unreadFilter = {
+    groupId,
+    createdAt: { $lte: target.createdAt },
+    senderId: { $ne: userId },
+    messageType: { $ne: "system" },
+    "readBy.userId": { $ne: userId },
+  };
+
+  // Newest unread messages whose status may change (read before the update below)
+  const recent = await Message.find(unreadFilter)
+    .select("senderId deliveredTo readBy status")
+    .sort({ createdAt: -1 })
+    .limit(STATUS_RECOMPUTE_LIMIT)
+    .lean();
+
+  const readAt = new Date();
+  if (recent.length === 0) return { readAt, count: 0, statusChanges: [] };
+
+  // One update for everything, however long the unread history is
+  const { modifiedCount } = await Message.updateMany(unreadFilter, {
+    $push: { readBy: { userId, readAt } },
+  }).exec();
+
+  // Recompute aggregate statuses, then write them grouped by status
+  const statusChanges = [];
+  recent.forEach((m) => {
+    m.readBy.push({ userId, readAt });
+    const status = groupMessageStatus(m, memberIds);
+    if (status !== m.status) {
+      statusChanges.push({ messageId: m._id, senderId: m.senderId, status });
+    }
+  });
+  for (const status of new Set(statusChanges.map((c) => c.status))) {
+    const ids = statusChanges.filter((c) => c.status === status).map((c) => c.messageId);
+    await Message.updateMany({ _id: { $in: ids } }, { status }).exec();
+  }
+
+  return { readAt, count: modifiedCount, statusChanges };
+};
@@ -0,0 +1,32 @@
+const Message = require("../models/Message");
+const httpError = require("./httpError");
+
+// Lightweight preview of the quoted message (content is already blank if it was deleted)
+exports.replyPreviewPopulate = {
+  path: "replyTo",
+  select: "message messageType senderId isDeleted createdAt",
+  populate: { path: "senderId", select: "name profileImage" },
+};
+
+// Make sure a replyTo id points at a message in the same conversation
+// conversation: { groupId } or { senderId, receiverId }
+exports.validateReplyTo = async (replyTo, conversation) => {
+  if (!/^[a-f0-9]{24}$/i.test(replyTo)) {
+    throw httpError(400, "Invalid replyTo message id");
+  }
+
+  const quoted = await Message.findById(replyTo).select("senderId receiverId groupId").lean();
+  if (!quoted) {
+    throw httpError(404, "Quoted message not found");
+  }
+
+  const sameConversation = conversation.groupId
+    ? quoted.groupId && quoted.groupId.toString() === conversation.groupId.toString()
+    : !quoted.groupId &&
+      [quoted.senderId.toString(), quoted.receiverId.toString()].sort().join() ===
+        [conversation.senderId.toString(), conversation.receiverId.toString()].sort().join();
+
+  if (!sameConversation) {
+    throw httpError(400, "Quoted message is not part of this conversation");
+  }
+};
@@ -0,0 +1,89 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const Session = require("../models/Session");
+const store = require("../store");
+const httpError = require("./httpError");
+
+// Access tokens are short-lived JWTs; refresh tokens are opaque and rotate on every use
+const ACCESS_TOKEN_TTL_SECONDS = parseInt(process.env.ACCESS_TOKEN_TTL_SECONDS) || 15 * 60;
+const REFRESH_TOKEN_TTL_MS = (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+
+const hashToken = (secret) => crypto.createHash("sha256").update(secret).digest("hex");
+
+exports.hashToken = hashToken;
+
+// Revoked session ids are kept in the shared store until their last access token has expired
+const revokedKey = (sessionId) => `revokedSession:${sessionId}`;
+
+// Access + refresh token pair for a session (refresh token is "<sessionId>.<secret>")
+const issueTokens = (session, secret) => ({
+  token: jwt.sign(
+    { userId: session.userId, sessionId: session._id },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL_SECONDS }
+  ),
+  refreshToken: `${session._id}.${secret}`,
+  expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+});
+
+// Start a session for a freshly authenticated user
+exports.createSession = async (userId, { userAgent, ip } = {}) => {
+  const secret = crypto.randomBytes(32).toString("base64url");
+  const session = await Session.create({
+    userId,
+    refreshTokenHash: hashToken(secret),
+    userAgent: userAgent || "",
+    ip: ip || "",
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+  });
+  return issueTokens(session, secret);
+};
+
+// Swap a refresh token for a new token pair - the old refresh token stops working
+// Replaying an already rotated token revokes the whole session
+exports.rotateRefreshToken = async (refreshToken) => {
+  const [sessionId, secret] = String(refreshToken || "").split(".");
+  if (!secret || !/^[a-f0-9]{24}$/i.test(sessionId)) {
+    throw httpError(401, "Invalid refresh token");
+  }
+
+  const session = await Session.findById(sessionId);
+  if (!session || session.revokedAt || session.expiresAt <= new Date()) {
+    throw httpError(401, "Session expired");
+  }
+
+  const presentedHash = hashToken(secret);
+  if (presentedHash !== session.refreshTokenHash) {
+    if (presentedHash === session.previousTokenHash) {
+      await exports.revokeSessions({ _id: session._id });
+      throw httpError(401, "Refresh token reuse detected - session revoked");
+    }
+    throw httpError(401, "Invalid refresh token");
+  }
+
+  const nextSecret = crypto.randomBytes(32).toString("base64url");
+  session.previousTokenHash = session.refreshTokenHash;
+  session.refreshTokenHash = hashToken(nextSecret);
+  session.lastUsedAt = new Date();
+  await session.save();
+
+  return issueTokens(session, nextSecret);
+};
+
+// Revoke every active session matching filter (scoped by the caller, e.g. { userId })
+// Returns the revoked session ids so their sockets can be disconnected
+exports.revokeSessions = async (filter) => {
+  const sessions = await Session.find({ ...filter, revokedAt: null }).select("_id").lean();
+  const sessionIds = sessions.map((s) => s._id.toString());
+  if (sessionIds.length === 0) return [];
+
+  await Session.updateMany({ _id: { $in: sessionIds } }, { revokedAt: new Date() }).exec();
+  await Promise.all(
+    sessionIds.map((id) => store.cacheSet(revokedKey(id), true, ACCESS_TOKEN_TTL_SECONDS * 1000))
+  );
+  return sessionIds;
+};
+
+// Whether an access token's session was revoked (cheap - shared store only)
+exports.isSessionRevoked = async (sessionId) =>
+  Boolean(sessionId) && Boolean(await store.cacheGet(revokedKey(sessionId)));
@@ -0,0 +1,87 @@
+// Offline sync cursors - where a sync page ended in the messages and users lists
+// (used by controllers/sync.controller.js)
+
+const ZERO_ID = "0".repeat(24);
+const MAX_ID = "f".repeat(24);
+
+// Parse `since` - either an opaque cursor from a previous sync, an ISO date or epoch millis
+// Returns { time: Date, lastId, lastUserId } or null when invalid (ids are null for plain dates)
+const parseSince = (since) => {
+  if (!since) return null;
+
+  const decoded = Buffer.from(String(since), "base64url").toString();
+  const [time, lastId, lastUserId] = decoded.split(":");
+  if (lastId && /^\d+$/.test(time) && /^[a-f0-9]{24}$/.test(lastId)) {
+    // Cursors from before users were paged only carry the message id
+    const userId = /^[a-f0-9]{24}$/.test(lastUserId) ? lastUserId : null;
+    return { time: new Date(Number(time)), lastId, lastUserId: userId };
+  }
+
+  const date = /^\d+$/.test(since) ? new Date(Number(since)) : new Date(since);
+  return isNaN(date.getTime()) ? null : { time: date, lastId: null, lastUserId: null };
+};
+
+// Opaque cursor pointing just past the last synced message and user
+const encodeCursor = (time, lastId, lastUserId) =>
+  Buffer.from(`${time.getTime()}:${lastId}:${lastUserId}`).toString("base64url");
+
+// Documents updated after a (time, id) position - ties on updatedAt are broken by _id
+const changedAfter = (time, lastId) =>
+  lastId
+    ? {
+        $or: [
+          { updatedAt: { $gt: time } },
+          { updatedAt: time, _id: { $gt: lastId } },
+        ],
+      }
+    : { updatedAt: { $gt: time } };
+
+// Cut one sync page out of messages and users fetched with limit + 1 (sorted by updatedAt, _id)
+// A page ends at the earlier of the truncated lists - later items of the other list wait too
+// Returns { messages, users, cursor, hasMore }
+const cutPage = ({ cursor, messages, users, messageLimit, userLimit, syncStartedAt }) => {
+  const messagesTruncated = messages.length > messageLimit;
+  const usersTruncated = users.length > userLimit;
+  const fetchedMessages = messages.slice(0, messageLimit);
+  const fetchedUsers = users.slice(0, userLimit);
+
+  if (!messagesTruncated && !usersTruncated) {
+    return {
+      messages: fetchedMessages,
+      users: fetchedUsers,
+      cursor: encodeCursor(syncStartedAt, ZERO_ID, ZERO_ID),
+      hasMore: false,
+    };
+  }
+
+  const boundary = Math.min(
+    messagesTruncated ? fetchedMessages[fetchedMessages.length - 1].updatedAt.getTime() : Infinity,
+    usersTruncated ? fetchedUsers[fetchedUsers.length - 1].updatedAt.getTime() : Infinity
+  );
+  const pageMessages = fetchedMessages.filter((m) => m.updatedAt.getTime() <= boundary);
+  const pageUsers = fetchedUsers.filter((u) => u.updatedAt.getTime() <= boundary);
+
+  // Last id sent at the boundary time (or what the previous cursor already covered there)
+  const lastIdAt = (items, previousId) => {
+    const last = items[items.length - 1];
+    if (last && last.updatedAt.getTime() === boundary) return last._id.toString();
+    if (cursor.time.getTime() === boundary) return previousId || MAX_ID;
+    return ZERO_ID;
+  };
+
+  return {
+    messages: pageMessages,
+    users: pageUsers,
+    cursor: encodeCursor(
+      new Date(boundary),
+      lastIdAt(pageMessages, cursor.lastId),
+      lastIdAt(pageUsers, cursor.lastUserId)
+    ),
+    hasMore: true,
+  };
+};
+
+exports.parseSince = parseSince;
+exports.encodeCursor = encodeCursor;
+exports.changedAfter = changedAfter;
+exports.cutPage = cutPage;
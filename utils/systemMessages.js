@@ -0,0 +1,43 @@
+const Message = require("../models/Message");
+const User = require("../models/User");
+
+// English fallback text per system action - clients should render from `system` so they can localize
+const FALLBACK_TEXT = {
+  membersAdded: ({ actor, targets }) => `${actor} added ${targets}`,
+  memberRemoved: ({ actor, targets }) => `${actor} removed ${targets}`,
+  memberJoined: ({ actor }) => `${actor} joined using an invite link`,
+  memberLeft: ({ actor, targets }) => `${actor || targets} left`,
+  groupArchived: ({ actor }) => `${actor} archived the group`,
+  groupUnarchived: ({ actor }) => `${actor} unarchived the group`,
+  groupRenamed: ({ actor, data }) => `${actor} changed the group name to "${data.name}"`,
+  adminPromoted: ({ actor, targets }) => `${actor} made ${targets} an admin`,
+  adminDemoted: ({ actor, targets }) => `${actor} removed ${targets} as admin`,
+  ownershipTransferred: ({ actor, targets }) => `${actor} transferred ownership to ${targets}`,
+  ownershipHandedOff: ({ targets }) => `${targets} is now the group owner`,
+};
+
+// Display names for the users involved, in the given order
+const namesFor = async (userIds) => {
+  const users = await User.find({ _id: { $in: userIds } }).select("name").lean();
+  const nameById = new Map(users.map((u) => [u._id.toString(), u.name]));
+  return userIds.map((id) => nameById.get(id.toString()) || "Deleted user");
+};
+
+// Record a change in the group timeline (sender is the acting user, if any)
+// Returns the stored message populated like regular group messages
+exports.createSystemMessage = async (groupId, action, { actorId, targetIds = [], data } = {}) => {
+  const [actor] = actorId ? await namesFor([actorId]) : [""];
+  const targets = (await namesFor(targetIds)).join(", ");
+
+  const created = await Message.create({
+    senderId: actorId,
+    groupId,
+    messageType: "system",
+    message: FALLBACK_TEXT[action]({ actor, targets, data }),
+    system: { action, actorId, targetIds, data },
+  });
+
+  return Message.findById(created._id)
+    .populate("senderId", "name email profileImage about")
+    .lean();
+};
@@ -0,0 +1,26 @@
+const crypto = require("crypto");
+const UserToken = require("../models/UserToken");
+const { hashToken } = require("./sessions");
+
+// Create a token for purpose, replacing any older one - returns the raw token to email
+exports.issueUserToken = async (userId, purpose, ttlMs) => {
+  await UserToken.deleteMany({ userId, purpose });
+
+  const token = crypto.randomBytes(32).toString("base64url");
+  await UserToken.create({
+    userId,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMs),
+  });
+  return token;
+};
+
+// Claim a token atomically so it can only be used once - returns its userId or null
+exports.consumeUserToken = async (token, purpose) => {
+  const claimed = await UserToken.findOneAndUpdate(
+    { tokenHash: hashToken(String(token)), purpose, usedAt: null, expiresAt: { $gt: new Date() } },
+    { usedAt: new Date() }
+  ).lean();
+  return claimed ? claimed.userId : null;
+};
@@ -0,0 +1,46 @@
+// Payload schemas for routes/auth.routes.js
+const { z, objectId, email, newPassword, password } = require("./common");
+
+const name = z.string().trim().min(1, "Name is required").max(50);
+const about = z.string().trim().max(200);
+const token = z.string().min(1, "Token is required").max(200);
+
+exports.signup = {
+  body: z.object({ name, email, password: newPassword, about: about.optional() }),
+};
+
+exports.login = {
+  body: z.object({ email, password }),
+};
+
+exports.refresh = {
+  body: z.object({ refreshToken: token }),
+};
+
+exports.verifyEmail = {
+  body: z.object({ token }),
+};
+
+exports.emailOnly = {
+  body: z.object({ email }),
+};
+
+exports.resetPassword = {
+  body: z.object({ token, password: newPassword }),
+};
+
+exports.changePassword = {
+  body: z.object({ currentPassword: password, newPassword }),
+};
+
+exports.updateProfile = {
+  body: z.object({ name: name.optional(), about: about.optional() }),
+};
+
+exports.deleteAccount = {
+  body: z.object({ password }),
+};
+
+exports.revokeSession = {
+  params: z.object({ sessionId: objectId }),
+};
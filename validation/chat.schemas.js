@@ -0,0 +1,50 @@
+// Payload schemas for routes/chat.routes.js
+const { z, objectId, messageText, paginationQuery } = require("./common");
+
+const messageParams = z.object({ id: objectId });
+const emoji = z.string().min(1, "Emoji is required").max(16);
+
+exports.getMessages = {
+  params: z.object({ receiverId: objectId }),
+  query: paginationQuery,
+};
+
+// Multipart when an attachment is sent, so every field arrives as a string
+exports.sendMessage = {
+  body: z.object({
+    receiverId: objectId,
+    message: messageText.optional(),
+    replyTo: objectId.optional(),
+  }),
+};
+
+exports.markAsRead = {
+  body: z.object({ senderId: objectId }),
+};
+
+exports.editMessage = {
+  params: messageParams,
+  body: z.object({ message: messageText.trim().min(1, "Message is required") }),
+};
+
+exports.deleteMessage = {
+  params: messageParams,
+  query: z.object({ scope: z.enum(["me", "everyone"]).optional() }),
+};
+
+exports.addReaction = {
+  params: messageParams,
+  body: z.object({ emoji }),
+};
+
+exports.removeReaction = {
+  params: z.object({ id: objectId, emoji }),
+};
+
+exports.downloadAttachment = {
+  params: z.object({ messageId: objectId }),
+  query: z.object({
+    variant: z.enum(["thumbnail", "medium"]).optional(),
+    redirect: z.enum(["true", "false"]).optional(),
+  }),
+};
@@ -0,0 +1,56 @@
+// Shared building blocks for request and socket payload schemas (see middleware/validate.middleware.js)
+const { z } = require("zod");
+
+const MESSAGE_MAX_LENGTH = 5000;
+
+// 24-char hex id - rejected here so malformed ids never reach Mongoose
+const objectId = z.string().regex(/^[a-f0-9]{24}$/i, "Invalid id");
+
+const email = z.string().trim().pipe(z.email("Invalid email address"));
+
+// New passwords: 8-72 chars (bcrypt ignores anything longer) with a letter and a digit
+const newPassword = z
+  .string()
+  .min(8, "Password must be at least 8 characters")
+  .max(72, "Password must be at most 72 characters")
+  .regex(/[a-zA-Z]/, "Password must contain a letter")
+  .regex(/\d/, "Password must contain a digit");
+
+// Existing passwords are only checked for presence (older accounts may predate the rules above)
+const password = z.string().min(1, "Password is required").max(128);
+
+// Booleans from JSON bodies or multipart form fields ("true"/"false")
+const formBoolean = z.union([z.boolean(), z.stringbool()]);
+
+const messageText = z.string().max(MESSAGE_MAX_LENGTH, `Message must be at most ${MESSAGE_MAX_LENGTH} characters`);
+
+// Cursor for paginated history: message id or timestamp (resolved in utils/pagination.js)
+const cursor = z.string().max(64);
+
+const paginationQuery = z.object({
+  page: z.coerce.number().int().min(1).optional(),
+  limit: z.coerce.number().int().min(1).max(100).optional(),
+  before: cursor.optional(),
+  after: cursor.optional(),
+  around: cursor.optional(),
+});
+
+// Flatten zod issues into [{ path: "body.members.0", message }] for API responses
+const formatIssues = (error, location) =>
+  error.issues.map((issue) => ({
+    path: [location, ...issue.path].filter((p) => p !== undefined && p !== "").join("."),
+    message: issue.message,
+  }));
+
+module.exports = {
+  z,
+  MESSAGE_MAX_LENGTH,
+  objectId,
+  email,
+  newPassword,
+  password,
+  formBoolean,
+  messageText,
+  paginationQuery,
+  formatIssues,
+};
@@ -0,0 +1,9 @@
+// Payload schemas for routes/conversation.routes.js
+const { z } = require("./common");
+
+exports.getConversations = {
+  query: z.object({
+    limit: z.coerce.number().int().min(1).max(100).optional(),
+    before: z.string().max(64).optional(),
+  }),
+};
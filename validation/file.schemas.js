@@ -0,0 +1,11 @@
+// Payload schemas for routes/file.routes.js
+const { z } = require("./common");
+
+exports.getSignedFile = {
+  params: z.object({ key: z.array(z.string().min(1)).min(1) }),
+  query: z.object({
+    expires: z.string().regex(/^\d+$/, "Invalid expiry"),
+    name: z.string().max(255).optional(),
+    signature: z.string().regex(/^[a-f0-9]{64}$/, "Invalid signature"),
+  }),
+};
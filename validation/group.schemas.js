@@ -0,0 +1,99 @@
+// Payload schemas for routes/group.routes.js
+const { z, objectId, formBoolean, messageText, paginationQuery } = require("./common");
+
+const groupParams = z.object({ groupId: objectId });
+const memberBody = z.object({ memberId: objectId });
+const members = z.array(objectId).min(1, "At least one member is required").max(256);
+const name = z.string().trim().min(1, "Group name is required").max(100);
+const description = z.string().max(500);
+const inviteToken = z.string().regex(/^[A-Za-z0-9_-]{16,64}$/, "Invalid invite token");
+
+exports.groupOnly = {
+  params: groupParams,
+};
+
+exports.createGroup = {
+  body: z.object({ name, description: description.optional(), members }),
+};
+
+exports.getGroupMessages = {
+  params: groupParams,
+  query: paginationQuery,
+};
+
+// Multipart when an attachment is sent, so every field arrives as a string
+exports.sendGroupMessage = {
+  body: z.object({
+    groupId: objectId,
+    message: messageText.optional(),
+    replyTo: objectId.optional(),
+  }),
+};
+
+exports.messageInfo = {
+  params: z.object({ id: objectId }),
+};
+
+exports.markGroupRead = {
+  params: groupParams,
+  body: z.object({ upTo: objectId }),
+};
+
+exports.addMembers = {
+  body: z.object({ groupId: objectId, members }),
+};
+
+exports.removeMember = {
+  body: z.object({ groupId: objectId, memberId: objectId }),
+};
+
+// Multipart when a new icon is uploaded
+exports.updateGroup = {
+  body: z.object({
+    groupId: objectId,
+    name: name.optional(),
+    description: description.optional(),
+    removeIcon: formBoolean.optional(),
+  }),
+};
+
+exports.updateGroupSettings = {
+  params: groupParams,
+  body: z.object({
+    onlyAdminsCanSend: z.boolean().optional(),
+    onlyAdminsCanEditInfo: z.boolean().optional(),
+    joinApprovalRequired: z.boolean().optional(),
+    messageRetentionDays: z.number().int().min(0).max(3650).optional(),
+  }),
+};
+
+exports.memberAction = {
+  params: groupParams,
+  body: memberBody,
+};
+
+exports.createInvite = {
+  params: groupParams,
+  body: z.object({
+    expiresInHours: z.number().positive().max(24 * 365).optional(),
+    maxUses: z.number().int().min(1).max(100000).optional(),
+  }),
+};
+
+exports.revokeInvite = {
+  params: z.object({ groupId: objectId, inviteId: objectId }),
+};
+
+exports.inviteToken = {
+  params: z.object({ token: inviteToken }),
+};
+
+exports.resolveJoinRequest = {
+  params: z.object({ groupId: objectId, userId: objectId }),
+  body: z.object({ approve: z.boolean() }),
+};
+
+exports.archiveGroup = {
+  params: groupParams,
+  body: z.object({ archived: z.boolean() }),
+};
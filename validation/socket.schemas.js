@@ -0,0 +1,29 @@
+// Payload schemas for the socket.on handlers in socket.js
+const { z, objectId, messageText } = require("./common");
+
+exports.resume = z.object({ since: z.string().min(1, "since is required").max(100) });
+
+// Live relays carry only the text and a client id for matching the persisted copy later
+// Anything else (older clients send the whole message, senderId included) is stripped -
+// the sender is always the socket's user (see socket.js)
+const relayFields = {
+  message: messageText,
+  tempId: z.string().max(100).optional(),
+};
+
+exports.sendMessage = z.object({ receiverId: objectId, ...relayFields });
+exports.sendGroupMessage = z.object({ groupId: objectId, ...relayFields });
+
+exports.typing = z.object({ receiverId: objectId, isTyping: z.boolean() });
+
+exports.groupTyping = z.object({
+  groupId: objectId,
+  senderName: z.string().max(50).optional(),
+  isTyping: z.boolean(),
+});
+
+exports.messageReceipt = z.object({ messageId: objectId });
+
+exports.markMessagesRead = z.object({ senderId: objectId });
+
+exports.markGroupRead = z.object({ groupId: objectId, upTo: objectId });
@@ -0,0 +1,6 @@
+// Payload schemas for routes/sync.routes.js
+const { z } = require("./common");
+
+exports.getSync = {
+  query: z.object({ since: z.string().min(1, "since is required").max(100) }),
+};